@@ -0,0 +1,81 @@
+/*!
+ * @license MPL-2.0-no-copyleft-exception
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * This Source Code Form is "Incompatible With Secondary Licenses", as
+ * defined by the Mozilla Public License, v. 2.0.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const usage = [
+  'Usage: node build.js [output]',
+  '',
+  'Bundle worker.js and files it requires into a single script for browsers, dist/worker.js by default.',
+  'It runs as a Web Worker by `new Worker(\'dist/worker.js\')`, and defines `ContentsWorker`',
+  '(exports of worker.js, like `createWorkerClient`) when loaded by a <script> tag.',
+].join('\n');
+
+const ENTRY = 'worker.js';
+const GLOBAL_NAME = 'ContentsWorker';
+
+/**
+ * Read the entry and files it requires by relative paths, like `require('./scores.js')`
+ * @param {string} entry
+ * @returns {Map<string, string>} Source of each file by its name
+ */
+const collectModules = function (entry) {
+  /** @type {Map<string, string>} */
+  const modules = new Map();
+  const collect = (/** @type {string} */name) => {
+    if (modules.has(name)) return;
+    const source = fs.readFileSync(path.join(__dirname, name), 'utf8');
+    modules.set(name, source);
+    for (const [, required] of source.matchAll(/require\('\.\/([^']+)'\)/g)) collect(required);
+  };
+  collect(entry);
+  return modules;
+};
+
+/**
+ * Wrap each file in a function, so their top-level names do not clash in a classic script.
+ * Other modules, like `worker_threads`, are only required in Node.js, where `require` is defined.
+ * @param {Map<string, string>} modules
+ * @returns {string}
+ */
+const bundle = function (modules) {
+  return [
+    '(function () {',
+    'const definitions = {',
+    ...[...modules].map(([name, source]) => `${JSON.stringify(name)}: function (module, exports, require) {\n${source}\n},`),
+    '};',
+    'const cache = {};',
+    'const load = function (name) {',
+    '  if (!cache[name]) {',
+    '    const module = cache[name] = { exports: {} };',
+    '    definitions[name](module, module.exports, requireOf);',
+    '  }',
+    '  return cache[name].exports;',
+    '};',
+    'const requireOf = function (name) {',
+    '  if (name.startsWith(\'./\')) return load(name.slice(2));',
+    '  if (typeof require === \'function\') return require(name);',
+    '  throw new Error(`Cannot find module \'${name}\'`);',
+    '};',
+    `globalThis.${GLOBAL_NAME} = load(${JSON.stringify(ENTRY)});`,
+    '})();',
+    '',
+  ].join('\n');
+};
+
+const args = process.argv.slice(2);
+if (args.includes('-h') || args.includes('--help')) {
+  console.log(usage);
+  process.exit(0);
+}
+const output = path.resolve(args[0] ?? path.join(__dirname, 'dist', ENTRY));
+fs.mkdirSync(path.dirname(output), { recursive: true });
+fs.writeFileSync(output, bundle(collectModules(ENTRY)));
+console.error(`written: ${output}`);
@@ -0,0 +1,133 @@
+/*!
+ * @license MPL-2.0-no-copyleft-exception
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * This Source Code Form is "Incompatible With Secondary Licenses", as
+ * defined by the Mozilla Public License, v. 2.0.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { recognizeContents, PRESETS } = require('./scores.js');
+const { decodeText } = require('./encoding.js');
+const { formats, formatContents, formatExplanation, formatAnomalies } = require('./formats.js');
+const { convertToEpub } = require('./epub.js');
+
+const outputFormats = [...formats, 'epub'];
+
+const usage = [
+  'Usage: node cli.js [options] <filename.txt>',
+  '  -e, --encoding <label>      encoding of the file, detected if omitted',
+  '  -a, --alternatives <count>  also list best candidate templates',
+  `  -p, --preset <preset>       tuned constants: ${Object.keys(PRESETS).join(', ')}`,
+  '  -c, --config <KEY=VALUE>    override a constant used for scoring, may be repeated',
+  `  -f, --format <format>       output format: ${outputFormats.join(', ')}`,
+  '  -o, --output <filename>     write output to the file instead of stdout, required by epub',
+  '      --title <title>         title of the book, used by epub, nav and ncx',
+  '      --author <author>       author of the book, used by epub',
+  '      --explain               print beauty factors of every candidate template to stderr',
+  '      --heading <line>        a line known to be a heading, may be repeated',
+  '      --not-heading <line>    a line known not to be a heading, may be repeated',
+].join('\n');
+
+/** @type {ReturnType<typeof parseArgs>} */
+let parsed;
+try {
+  parsed = parseArgs({
+    allowPositionals: true,
+    options: {
+      alternatives: { type: 'string', short: 'a' },
+      preset: { type: 'string', short: 'p' },
+      config: { type: 'string', short: 'c', multiple: true },
+      encoding: { type: 'string', short: 'e' },
+      format: { type: 'string', short: 'f' },
+      output: { type: 'string', short: 'o' },
+      title: { type: 'string' },
+      author: { type: 'string' },
+      explain: { type: 'boolean' },
+      heading: { type: 'string', multiple: true },
+      'not-heading': { type: 'string', multiple: true },
+    },
+  });
+} catch (e) {
+  console.error(e.message);
+  console.error(usage);
+  process.exit(1);
+}
+const { values: args, positionals: [filename] } = parsed;
+if (!filename) {
+  console.error(usage);
+  process.exit(1);
+}
+if (args.format && !outputFormats.includes(args.format)) {
+  console.error(`Unknown format: ${args.format}`);
+  console.error(usage);
+  process.exit(1);
+}
+if (args.format === 'epub' && !args.output) {
+  console.error('Output filename is required by epub');
+  process.exit(1);
+}
+/** @type {ReturnType<typeof decodeText>} */
+let decoded;
+try {
+  decoded = decodeText(fs.readFileSync(filename), { encoding: args.encoding });
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+const { text, encoding, confidence } = decoded;
+console.error(`encoding: ${encoding} (confidence ${confidence.toFixed(2)})`);
+const article = text.replace(/\r\n|\r/g, '\n');
+/** @type {Record<string, number>} */
+let config;
+try {
+  config = Object.fromEntries((args.config ?? []).map(item => {
+    const index = item.indexOf('=');
+    if (index === -1) throw new RangeError(`Invalid config "${item}", expected KEY=VALUE`);
+    const value = item.slice(index + 1).trim();
+    // Values are checked by recognizeContents, an empty one is not 0
+    return [item.slice(0, index).trim(), value ? Number(value) : NaN];
+  }));
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+const explain = args.explain ? [] : undefined;
+const start = performance.now();
+/** @type {ReturnType<typeof recognizeContents>} */
+let result;
+try {
+  result = recognizeContents(article, {
+    alternatives: Number(args.alternatives ?? 0),
+    preset: args.preset,
+    config,
+    explain,
+    headings: { positive: args.heading ?? [], negative: args['not-heading'] ?? [] },
+  });
+} catch (e) {
+  if (!(e instanceof RangeError)) throw e;
+  console.error(e.message);
+  process.exit(1);
+}
+const end = performance.now();
+console.error(`time: ${end - start}ms`);
+if (explain) process.stderr.write(formatExplanation(explain));
+if (result?.anomalies.length) process.stderr.write(formatAnomalies(result.anomalies));
+if (result?.unmatchedHeadings?.length) console.error(`Headings not found: ${result.unmatchedHeadings.join(', ')}`);
+if (!args.format) {
+  console.log(result);
+} else if (args.format === 'epub') {
+  fs.writeFileSync(args.output, convertToEpub(article, result, { title: args.title, author: args.author }));
+} else if (!result) {
+  console.error('No contents found');
+  process.exit(2);
+} else {
+  const output = formatContents(args.format === 'json' ? { encoding, ...result } : result, args.format, {
+    title: args.title ?? path.basename(filename, path.extname(filename)),
+  });
+  if (args.output) fs.writeFileSync(args.output, output);
+  else process.stdout.write(output);
+}
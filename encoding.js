@@ -0,0 +1,126 @@
+/*!
+ * @license MPL-2.0-no-copyleft-exception
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * This Source Code Form is "Incompatible With Secondary Licenses", as
+ * defined by the Mozilla Public License, v. 2.0.
+ */
+
+// bytes from the beginning of the file used for detection
+const SAMPLE_SIZE = 64 * 1024;
+// legacy encodings tried when the file is not utf-8
+const LEGACY_ENCODINGS = ['gb18030', 'big5', 'shift_jis', 'utf-16le', 'utf-16be'];
+// penalty for each character which should not appear in a text
+const FACTOR_BAD_CHAR = 4;
+
+const boms = [
+  { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+  { encoding: 'gb18030', bytes: [0x84, 0x31, 0x95, 0x33] },
+  { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+  { encoding: 'utf-16be', bytes: [0xFE, 0xFF] },
+];
+
+// Frequently used characters in Chinese and Japanese texts, both simplified and traditional
+const commonChars = new Set([
+  '的一是不了人我在有他这中大来上个国到说们为子和你地出道也时年得就那要下以生会自着去之过家学对可她里后小么心多天而能好都然没日于起还发成事只作当想看文无开手十用主行方又如前所本见经头面公同三已老从动两长知民样现分将外但身些与高意进把法此实回二理美点月明其种声全工己话儿者向情部正名定女问力机给等几很业最间新什打便位因重被走电四第门相次东海口使再平真听世气信少关并内加化由却代先山五太水万眼体别处总才场书比住九笑性通目立马命张活难神数件安表原车白应路期叫死常提感金何更反合放做系计或利受光王果亲界及今务制解各任至清物台象记边共风战干接它许八特觉望直服林题度色字请交爱让认算论百吃义怎元术结六功指思非流每青管夫连远跟带花快条变言往展该近留红决周保达办运半候七必城父强步完深即求品士转量空甚众轻程告语基满式息写呢识极令黄德收脸钱倒未持取设始双越千片容像找友孩站改形早房音火则首单据影失拿似若兵弟谁读志飞观争包造落视喜离虽坏兴切',
+  '們這個國說為來時會過對裡後麼學發當還樣經頭無開動兩長見點與現實話種進氣問聽邊東車電應變讓認關業體機門長書馬張難處總場數幾頭從將聲實華員記風戰許覺請愛論結條遠帶達運強聽該轉夠讀飛觀爭歡腳錢黃臉樓師隻聞',
+  '　、。，．：；？！「」『』（）《》〈〉【】…—～',
+].join(''));
+
+/**
+ * Score of characters decoded from given text, higher if the text looks like a natural language
+ * @param {string} text
+ * @returns {number}
+ */
+const textScore = function (text) {
+  let good = 0, bad = 0, total = 0;
+  for (const ch of text) {
+    const code = ch.codePointAt(0);
+    if (code < 0x80) {
+      if (code < 0x20 && !'\t\n\r'.includes(ch)) bad++;
+      continue;
+    }
+    total++;
+    if (ch === '\uFFFD') bad++;
+    else if (commonChars.has(ch)) good++;
+    else if (code >= 0x3040 && code <= 0x30FF) good++;
+    else if (code >= 0x4E00 && code <= 0x9FFF) good += 0.2;
+    else if (code >= 0xE000 && code <= 0xF8FF) bad++;
+    else if (code >= 0xD800 && code <= 0xDFFF) bad++;
+    else if (code < 0xA0) bad++;
+  }
+  if (!total) return bad ? 0 : 1;
+  return Math.max(0, good - FACTOR_BAD_CHAR * bad) / total;
+};
+
+/**
+ * Check if the bytes contain four byte sequence of GB18030, which is not available in GBK
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+const hasFourByteGb18030 = function (bytes) {
+  for (let i = 0; i < bytes.length - 1; i++) {
+    if (bytes[i] < 0x81) continue;
+    if (bytes[i + 1] >= 0x30 && bytes[i + 1] <= 0x39) return true;
+    i++;
+  }
+  return false;
+};
+
+/**
+ * @typedef {object} DetectedEncoding
+ * @property {string} encoding Encoding label which may be used with `TextDecoder`
+ * @property {number} confidence Between 0 and 1
+ * @property {boolean} bom If the encoding is detected by byte order mark
+ */
+
+/**
+ * Guess encoding of a text file
+ * @param {Uint8Array} bytes Content of the file
+ * @param {object} [options]
+ * @param {number} [options.sampleSize] Only first bytes are used for detection
+ * @returns {DetectedEncoding}
+ */
+const detectEncoding = function (bytes, { sampleSize = SAMPLE_SIZE } = {}) {
+  const bom = boms.find(bom => bom.bytes.every((byte, index) => bytes[index] === byte));
+  if (bom) return { encoding: bom.encoding, confidence: 1, bom: true };
+
+  const sample = bytes.subarray(0, sampleSize);
+  if (sample.every(byte => byte && byte < 0x80)) return { encoding: 'utf-8', confidence: 1, bom: false };
+  try {
+    // streaming mode so a character cut at the end of sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    if (!sample.includes(0)) return { encoding: 'utf-8', confidence: 1, bom: false };
+  } catch (e) {
+    // not utf-8
+  }
+
+  const scores = LEGACY_ENCODINGS.map(encoding => {
+    const text = new TextDecoder(encoding).decode(sample, { stream: true });
+    return { encoding, score: textScore(text) };
+  }).sort((a, b) => b.score - a.score);
+  const [best] = scores;
+  const encoding = best.encoding === 'gb18030' && !hasFourByteGb18030(sample) ? 'gbk' : best.encoding;
+  return { encoding, confidence: Math.min(best.score, 1), bom: false };
+};
+
+/**
+ * Decode content of a text file
+ * @param {Uint8Array} bytes Content of the file
+ * @param {object} [options]
+ * @param {string} [options.encoding] Use this encoding instead of detecting one
+ * @returns {{ text: string } & DetectedEncoding}
+ */
+const decodeText = function (bytes, { encoding } = {}) {
+  const detected = encoding ?
+    { encoding: new TextDecoder(encoding).encoding, confidence: 1, bom: false } :
+    detectEncoding(bytes);
+  const text = new TextDecoder(detected.encoding).decode(bytes).replace(/^\uFEFF/, '');
+  return { text, ...detected };
+};
+
+module.exports = {
+  detectEncoding,
+  decodeText,
+};
@@ -0,0 +1,230 @@
+/*!
+ * @license MPL-2.0-no-copyleft-exception
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * This Source Code Form is "Incompatible With Secondary Licenses", as
+ * defined by the Mozilla Public License, v. 2.0.
+ */
+
+const { formatContents, escapeXml } = require('./formats.js');
+
+// lines at the beginning of the book searched for title and author
+const META_LINES = 10;
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+const crc32 = function (data) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Pack files into a zip archive without compression
+ * @param {{ name: string; data: Uint8Array }[]} files
+ * @param {Date} date Modify time of all files
+ * @returns {Uint8Array}
+ */
+const createZip = function (files, date) {
+  const encoder = new TextEncoder();
+  const time = date.getHours() << 11 | date.getMinutes() << 5 | date.getSeconds() >> 1;
+  const day = date.getFullYear() - 1980 << 9 | date.getMonth() + 1 << 5 | date.getDate();
+  /** @type {Uint8Array[]} */
+  const locals = [], centrals = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const filename = encoder.encode(name), crc = crc32(data);
+    const local = new Uint8Array(30 + filename.length), lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034B50, true);
+    lv.setUint16(4, 20, true);
+    lv.setUint16(6, 0x0800, true); // utf-8 filename
+    lv.setUint16(8, 0, true); // stored
+    lv.setUint16(10, time, true);
+    lv.setUint16(12, day, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, data.length, true);
+    lv.setUint32(22, data.length, true);
+    lv.setUint16(26, filename.length, true);
+    local.set(filename, 30);
+    const central = new Uint8Array(46 + filename.length), cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014B50, true);
+    cv.setUint16(4, 20, true);
+    cv.setUint16(6, 20, true);
+    cv.setUint16(8, 0x0800, true);
+    cv.setUint16(10, 0, true);
+    cv.setUint16(12, time, true);
+    cv.setUint16(14, day, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, data.length, true);
+    cv.setUint16(28, filename.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(filename, 46);
+    locals.push(local, data);
+    centrals.push(central);
+    offset += local.length + data.length;
+  });
+  const centralSize = centrals.reduce((size, central) => size + central.length, 0);
+  const end = new Uint8Array(22), ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054B50, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let position = 0;
+  [...locals, ...centrals, end].forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+};
+
+/**
+ * Guess title and author from the first lines of the book
+ * @param {string} frontMatter Text before the first heading
+ * @returns {{ title?: string; author?: string }}
+ */
+const guessMetadata = function (frontMatter) {
+  const lines = frontMatter.split('\n').map(line => line.trim()).filter(line => line).slice(0, META_LINES);
+  const authorLine = lines.map(line => line.match(/^(?:(?:作\s*者|著\s*者)\s*[:：]?|(?:author|by)(?:\s*[:：]|\s))\s*(.+)$/i)).find(match => match);
+  const titleLine = lines.find(line => !authorLine || line !== authorLine.input);
+  return {
+    title: titleLine?.replace(/^《(.*)》$/, '$1'),
+    author: authorLine?.[1],
+  };
+};
+
+/**
+ * @param {{ title: string; lang: string; body: string[] }} page
+ * @returns {string}
+ */
+const xhtml = function ({ title, lang, body }) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<!DOCTYPE html>',
+    `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(lang)}" lang="${escapeXml(lang)}">`,
+    '<head>',
+    `  <title>${escapeXml(title)}</title>`,
+    '</head>',
+    '<body>',
+    ...body.map(line => `  ${line}`),
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * @param {string} text
+ * @returns {string[]}
+ */
+const paragraphs = function (text) {
+  return text.split('\n').map(line => line.trim()).filter(line => line).map(line => `<p>${escapeXml(line)}</p>`);
+};
+
+/**
+ * @typedef {object} EpubOptions
+ * @property {string} [title] Title of the book, guessed from first lines if omitted
+ * @property {string} [author] Author of the book, guessed from first lines if omitted
+ * @property {string} [language='zh'] Language of the book
+ * @property {string} [identifier] Unique identifier of the book, a random uuid if omitted
+ * @property {Date} [modified] Modify time of the book, current time if omitted
+ */
+
+/**
+ * Split the book into chapters by contents and pack them into an EPUB file
+ * @param {string} article Text of the book, lines should be separated by `\n`
+ * @param {{ content: { title: string; cursor: number; level?: number }[] } | { title: string; cursor: number; level?: number }[] | null} contents
+ * Result of `recognizeContents`, or headings from `generateContent`
+ * @param {EpubOptions} [options]
+ * @returns {Uint8Array} Content of the EPUB file
+ */
+const convertToEpub = function (article, contents, options = {}) {
+  const content = (Array.isArray(contents) ? contents : contents?.content ?? []).slice().sort((a, b) => a.cursor - b.cursor);
+  const frontMatter = article.slice(0, content.length ? content[0].cursor : article.length);
+  const guessed = guessMetadata(frontMatter);
+  const {
+    title = guessed.title ?? 'Untitled',
+    author = guessed.author,
+    language = 'zh',
+    identifier = `urn:uuid:${crypto.randomUUID()}`,
+    modified = new Date(),
+  } = options;
+
+  /** @type {{ id: string; href: string; item: { title: string; cursor: number; level: number }; body: string[] }[]} */
+  const pages = [];
+  if (frontMatter.trim()) {
+    pages.push({ id: 'front', href: 'text/front.xhtml', item: { title, cursor: 0, level: 0 }, body: paragraphs(frontMatter) });
+  }
+  content.forEach((item, index) => {
+    const end = index + 1 < content.length ? content[index + 1].cursor : article.length;
+    const text = article.slice(item.cursor, end), lineEnd = text.indexOf('\n');
+    const level = item.level ?? 0, heading = `h${Math.min(level + 2, 6)}`;
+    pages.push({
+      id: `chapter-${index + 1}`,
+      href: `text/chapter-${index + 1}.xhtml`,
+      item: { title: item.title, cursor: item.cursor, level },
+      body: [`<${heading}>${escapeXml(item.title)}</${heading}>`, ...paragraphs(lineEnd === -1 ? '' : text.slice(lineEnd + 1))],
+    });
+  });
+
+  const navOptions = { title, language, identifier, href: (_, index) => pages[index].href };
+  const navItems = pages.map(page => page.item);
+  const opf = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">`,
+    '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    `    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>`,
+    `    <dc:title>${escapeXml(title)}</dc:title>`,
+    ...(author ? [`    <dc:creator>${escapeXml(author)}</dc:creator>`] : []),
+    `    <dc:language>${escapeXml(language)}</dc:language>`,
+    `    <meta property="dcterms:modified">${modified.toISOString().replace(/\.\d+Z$/, 'Z')}</meta>`,
+    '  </metadata>',
+    '  <manifest>',
+    '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+    ...pages.map(page => `    <item id="${page.id}" href="${page.href}" media-type="application/xhtml+xml"/>`),
+    '  </manifest>',
+    '  <spine toc="ncx">',
+    ...pages.map(page => `    <itemref idref="${page.id}"/>`),
+    '  </spine>',
+    '</package>',
+    '',
+  ].join('\n');
+  const container = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+    '  <rootfiles>',
+    '    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>',
+    '  </rootfiles>',
+    '</container>',
+    '',
+  ].join('\n');
+
+  const encoder = new TextEncoder();
+  return createZip([
+    { name: 'mimetype', data: encoder.encode('application/epub+zip') },
+    { name: 'META-INF/container.xml', data: encoder.encode(container) },
+    { name: 'OEBPS/content.opf', data: encoder.encode(opf) },
+    { name: 'OEBPS/nav.xhtml', data: encoder.encode(formatContents(navItems, 'nav', navOptions)) },
+    { name: 'OEBPS/toc.ncx', data: encoder.encode(formatContents(navItems, 'ncx', navOptions)) },
+    ...pages.map(page => ({
+      name: `OEBPS/${page.href}`,
+      data: encoder.encode(xhtml({ title: page.item.title, lang: language, body: page.body })),
+    })),
+  ], modified);
+};
+
+module.exports = {
+  convertToEpub,
+};
@@ -0,0 +1,186 @@
+/*!
+ * @license MPL-2.0-no-copyleft-exception
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * This Source Code Form is "Incompatible With Secondary Licenses", as
+ * defined by the Mozilla Public License, v. 2.0.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { recognizeContents, PRESETS } = require('./scores.js');
+const { decodeText } = require('./encoding.js');
+
+const usage = [
+  'Usage: node evaluate.js [options] <folder>',
+  '',
+  'Every <name>.txt in the folder should have a ground truth <name>.toc.json',
+  '(same as output of `cli.js --format json`) or <name>.toc.tsv (same as `--format offset`).',
+  '',
+  '  -p, --preset <config>     preset name, or a JSON file of recognizeContents options',
+  '  -b, --compare <config>    another configuration to compare with',
+  '  -t, --tolerance <chars>   allowed distance between recognized and expected offsets',
+].join('\n');
+
+/**
+ * @typedef {object} GroundTruth
+ * @property {{ cursor: number; title?: string }[]} content
+ * @property {string} [template]
+ */
+
+/**
+ * @typedef {object} Score
+ * @property {number} expected Number of headings in ground truth
+ * @property {number} found Number of recognized headings
+ * @property {number} matched Number of recognized headings in ground truth
+ * @property {boolean | null} template If the expected template is recognized; null if not given
+ */
+
+/**
+ * Load ground truth of a book
+ * @param {string} filename Path to the text file
+ * @returns {GroundTruth | null}
+ */
+const loadGroundTruth = function (filename) {
+  const base = filename.replace(/\.txt$/i, '');
+  if (fs.existsSync(base + '.toc.json')) {
+    const truth = JSON.parse(fs.readFileSync(base + '.toc.json', 'utf8'));
+    return Array.isArray(truth) ? { content: truth } : truth;
+  }
+  if (fs.existsSync(base + '.toc.tsv')) {
+    const content = fs.readFileSync(base + '.toc.tsv', 'utf8').split(/\r?\n/).filter(line => line.trim()).map(line => {
+      const [cursor, title] = line.split('\t');
+      return { cursor: Number(cursor), title };
+    });
+    return { content };
+  }
+  return null;
+};
+
+/**
+ * Load configuration given by command line
+ * @param {string} [config] preset name or path to a JSON file
+ * @returns {object}
+ */
+const loadConfig = function (config) {
+  if (config == null) return {};
+  if (Object.prototype.hasOwnProperty.call(PRESETS, config)) return { preset: config };
+  return JSON.parse(fs.readFileSync(config, 'utf8'));
+};
+
+/**
+ * Compare recognized contents with ground truth
+ * @param {ReturnType<typeof recognizeContents>} result
+ * @param {GroundTruth} truth
+ * @param {number} tolerance
+ * @returns {Score}
+ */
+const scoreContents = function (result, truth, tolerance) {
+  const found = (result?.content ?? []).map(item => item.cursor).sort((a, b) => a - b);
+  const expected = truth.content.map(item => item.cursor).sort((a, b) => a - b);
+  let matched = 0;
+  for (let i = 0, j = 0; i < found.length && j < expected.length;) {
+    if (Math.abs(found[i] - expected[j]) <= tolerance) {
+      matched++; i++; j++;
+    } else if (found[i] < expected[j]) i++; else j++;
+  }
+  const templates = result ? [result.template, ...result.levels.map(level => level.template)] : [];
+  return {
+    expected: expected.length,
+    found: found.length,
+    matched,
+    template: truth.template == null ? null : templates.includes(truth.template),
+  };
+};
+
+/**
+ * @param {Score[]} scores
+ * @returns {{ precision: number; recall: number; f1: number; template: string }}
+ */
+const summarize = function (scores) {
+  const total = key => scores.reduce((sum, score) => sum + score[key], 0);
+  const expected = total('expected'), found = total('found'), matched = total('matched');
+  const precision = found ? matched / found : expected ? 0 : 1;
+  const recall = expected ? matched / expected : 1;
+  const f1 = precision + recall ? 2 * precision * recall / (precision + recall) : 0;
+  const templates = scores.filter(score => score.template != null);
+  const template = templates.length ? `${templates.filter(score => score.template).length}/${templates.length}` : '-';
+  return { precision, recall, f1, template };
+};
+
+const percent = (/** @type {number} */n) => (n * 100).toFixed(1).padStart(6) + '%';
+
+/** @type {ReturnType<typeof parseArgs>} */
+let parsed;
+try {
+  parsed = parseArgs({
+    allowPositionals: true,
+    options: {
+      preset: { type: 'string', short: 'p' },
+      compare: { type: 'string', short: 'b' },
+      tolerance: { type: 'string', short: 't' },
+    },
+  });
+} catch (e) {
+  console.error(e.message);
+  console.error(usage);
+  process.exit(1);
+}
+const { values: args, positionals: [folder] } = parsed;
+if (!folder) {
+  console.error(usage);
+  process.exit(1);
+}
+// Number('') is 0, an empty value is a mistake too
+const tolerance = args.tolerance == null ? 0 : args.tolerance.trim() === '' ? NaN : Number(args.tolerance);
+if (!(Number.isFinite(tolerance) && tolerance >= 0)) {
+  console.error(`Invalid tolerance "${args.tolerance}", expected a non-negative number`);
+  console.error(usage);
+  process.exit(1);
+}
+const configs = [loadConfig(args.preset), ...(args.compare != null ? [loadConfig(args.compare)] : [])];
+const names = [args.preset ?? 'default', ...(args.compare != null ? [args.compare] : [])];
+
+const books = fs.readdirSync(folder).filter(name => /\.txt$/i.test(name)).sort();
+/** @type {Score[][]} */
+const scores = configs.map(() => []);
+const rows = [];
+books.forEach(name => {
+  const filename = path.join(folder, name);
+  const truth = loadGroundTruth(filename);
+  if (!truth) {
+    console.error(`${name}: no ground truth found, skipped`);
+    return;
+  }
+  const article = decodeText(fs.readFileSync(filename)).text.replace(/\r\n|\r/g, '\n');
+  const row = [name];
+  configs.forEach((config, index) => {
+    const score = scoreContents(recognizeContents(article, config), truth, tolerance);
+    const { precision, recall, f1 } = summarize([score]);
+    scores[index].push(score);
+    row.push(percent(precision), percent(recall), percent(f1), score.template == null ? '-' : score.template ? 'yes' : 'no');
+  });
+  rows.push(row);
+});
+if (!rows.length) {
+  console.error('No books with ground truth found, nothing is evaluated');
+  process.exit(1);
+}
+const overall = ['overall'];
+scores.forEach(list => {
+  const { precision, recall, f1, template } = summarize(list);
+  overall.push(percent(precision), percent(recall), percent(f1), template);
+});
+rows.push(overall);
+
+const header = ['book', ...names.flatMap(name => [`${name} P`, 'R', 'F1', 'template'])];
+const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)));
+[header, ...rows].forEach(row => {
+  console.log(row.map((cell, index) => index ? cell.padStart(widths[index]) : cell.padEnd(widths[index])).join('  '));
+});
+if (configs.length > 1) {
+  const [a, b] = scores.map(list => summarize(list).f1);
+  console.log(`F1 ${b >= a ? '+' : ''}${((b - a) * 100).toFixed(1)}% with ${names[1]} compared to ${names[0]}`);
+}
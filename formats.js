@@ -0,0 +1,177 @@
+/*!
+ * @license MPL-2.0-no-copyleft-exception
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * This Source Code Form is "Incompatible With Secondary Licenses", as
+ * defined by the Mozilla Public License, v. 2.0.
+ */
+
+/**
+ * @typedef {{ title: string; cursor: number; level?: number }} FormatItem
+ */
+
+/**
+ * @typedef {object} FormatOptions
+ * @property {string} [title] Title of the book, used by `nav` and `ncx`
+ * @property {string} [identifier] Unique identifier of the book, used by `ncx`
+ * @property {string} [language] Language of the book, used by `nav`
+ * @property {(item: FormatItem, index: number) => string} [href] Link to each heading, used by `nav` and `ncx`
+ */
+
+/**
+ * Escape text for XML, characters not allowed in XML like control characters are removed
+ * @param {string} str
+ * @returns {string}
+ */
+const escapeXml = str => str
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+  .replace(/[&<>"']/g, ch => `&#${ch.charCodeAt()};`);
+const escapeMarkdown = (/** @type {string} */str) => str.replace(/[\\`*_[\]<>#|]/g, '\\$&');
+
+/**
+ * Nest headings by their level
+ * @param {FormatItem[]} content
+ * @returns {{ item: FormatItem; index: number; children: any[] }[]}
+ */
+const nestItems = function (content) {
+  const root = [], stack = [];
+  content.forEach((item, index) => {
+    const node = { item, index, children: [] }, level = item.level ?? 0;
+    while (stack.length && (stack[stack.length - 1].item.level ?? 0) >= level) stack.pop();
+    (stack.length ? stack[stack.length - 1].children : root).push(node);
+    stack.push(node);
+  });
+  return root;
+};
+
+/** @type {Record<string, (content: FormatItem[], options: FormatOptions, result: object) => string>} */
+const formatters = {
+  json(content, options, result) {
+    return JSON.stringify(result, null, 2);
+  },
+  nav(content, { title = 'Contents', language = 'zh', href }) {
+    const list = (nodes, indent) => [
+      `${indent}<ol>`,
+      ...nodes.map(({ item, index, children }) => {
+        const link = `<a href="${escapeXml(href(item, index))}">${escapeXml(item.title)}</a>`;
+        if (!children.length) return `${indent}  <li>${link}</li>`;
+        return [`${indent}  <li>${link}`, list(children, indent + '    '), `${indent}  </li>`].join('\n');
+      }),
+      `${indent}</ol>`,
+    ].join('\n');
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<!DOCTYPE html>',
+      `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">`,
+      '<head>',
+      `  <title>${escapeXml(title)}</title>`,
+      '</head>',
+      '<body>',
+      '  <nav epub:type="toc" id="toc">',
+      `    <h1>${escapeXml(title)}</h1>`,
+      list(nestItems(content), '    '),
+      '  </nav>',
+      '</body>',
+      '</html>',
+      '',
+    ].join('\n');
+  },
+  ncx(content, { title = 'Contents', identifier = '', href }) {
+    const depth = Math.max(0, ...content.map(item => item.level ?? 0)) + 1;
+    const points = (nodes, indent) => nodes.map(({ item, index, children }) => [
+      `${indent}<navPoint id="navPoint-${index + 1}" playOrder="${index + 1}">`,
+      `${indent}  <navLabel><text>${escapeXml(item.title)}</text></navLabel>`,
+      `${indent}  <content src="${escapeXml(href(item, index))}"/>`,
+      ...(children.length ? [points(children, indent + '  ')] : []),
+      `${indent}</navPoint>`,
+    ].join('\n')).join('\n');
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">',
+      '  <head>',
+      `    <meta name="dtb:uid" content="${escapeXml(identifier)}"/>`,
+      `    <meta name="dtb:depth" content="${depth}"/>`,
+      '    <meta name="dtb:totalPageCount" content="0"/>',
+      '    <meta name="dtb:maxPageNumber" content="0"/>',
+      '  </head>',
+      `  <docTitle><text>${escapeXml(title)}</text></docTitle>`,
+      '  <navMap>',
+      points(nestItems(content), '    '),
+      '  </navMap>',
+      '</ncx>',
+      '',
+    ].join('\n');
+  },
+  markdown(content) {
+    return content.map(item => `${'  '.repeat(item.level ?? 0)}- ${escapeMarkdown(item.title)}\n`).join('');
+  },
+  offset(content) {
+    return content.map(item => `${item.cursor}\t${item.title.replace(/\s+/g, ' ')}\n`).join('');
+  },
+};
+
+/**
+ * Names of available formats
+ * @type {string[]}
+ */
+const formats = Object.keys(formatters);
+
+/**
+ * Write contents in given format
+ * @param {{ content: FormatItem[] } | FormatItem[]} contents Result of `recognizeContents`, or headings from `generateContent`
+ * @param {string} format One of `formats`
+ * @param {FormatOptions} [options]
+ * @returns {string}
+ */
+const formatContents = function (contents, format, options = {}) {
+  if (!Object.prototype.hasOwnProperty.call(formatters, format)) {
+    throw new RangeError(`Unknown format "${format}", expected one of: ${formats.join(', ')}`);
+  }
+  const content = Array.isArray(contents) ? contents : contents.content;
+  const href = options.href ?? ((item, index) => `chapter-${index + 1}.xhtml`);
+  return formatters[format](content, { ...options, href }, contents);
+};
+
+/**
+ * Write candidate templates recorded by `explain` option of `recognizeContents` as a readable table,
+ * best candidates of stage 2 first, then ones rejected at stage 1
+ * @param {import('./scores.js').ExplainItem[]} explain
+ * @returns {string}
+ */
+const formatExplanation = function (explain) {
+  const sorted = explain.slice().sort((a, b) => b.stage - a.stage || b.beauty - a.beauty || a.priority - b.priority);
+  const rows = sorted.map(item => [
+    item.level != null ? `level ${item.level}` : item.rejectedBy ?? '-',
+    item.beauty.toFixed(4),
+    String(item.count),
+    item.type,
+    item.template ?? '(layout)',
+    Object.entries(item.factors).map(([name, value]) => `${name}=${value.toFixed(3)}`).join(' '),
+  ]);
+  const header = ['result', 'beauty', 'count', 'type', 'template', 'factors'];
+  const widths = header.map((title, index) => Math.max(title.length, ...rows.map(row => row[index].length)));
+  return [header, ...rows].map(row => row.map((cell, index) => index < row.length - 1 ? cell.padEnd(widths[index]) : cell).join('  ') + '\n').join('');
+};
+
+/**
+ * Write anomalies found by `recognizeContents` one per line
+ * @param {import('./scores.js').Anomaly[]} anomalies
+ * @returns {string}
+ */
+const formatAnomalies = function (anomalies) {
+  return anomalies.map(({ type, level, expected, found, cursor, title }) => {
+    const detail = type === 'missing' ?
+      expected === found - 1 ? `${expected} is missing` : `${expected} to ${found - 1} are missing` :
+      type === 'duplicate' ? `${found} appears again` : `${found} found where ${expected} expected`;
+    return `${type}\tlevel ${level}\t${detail}\t${cursor}\t${title.replace(/\s+/g, ' ')}\n`;
+  }).join('');
+};
+
+module.exports = {
+  escapeXml,
+  formats,
+  formatContents,
+  formatExplanation,
+  formatAnomalies,
+};
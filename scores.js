@@ -7,59 +7,173 @@
  * defined by the Mozilla Public License, v. 2.0.
  */
 
-// never try to detect a contents with more items
-const MAX_CONTENTS_LENGTH = 2000;
-// never try to generate a content with less items
-const MIN_CONTENTS = 3;
-// title with characters exceed following number considered invalid
-const MAX_TITLE_LENGTH = 200;
-// sensitivity to small TOC
-const FACTOR_CONTENTS_SIZE = 4;
-// sensitivity to outliner chapter size
-const FACTOR_OUTLINER = 8;
-// sensitivity to contents mixed with small and large ones
-const FACTOR_VARIANCE_SIZE = 5;
-// smaller value mark outliner more strict
-const OUTLINER_DISTANCE = 3;
-// setsitive to invalid TOC items
-const FACTOR_TITLE_INVALID = 8;
-// number of allowed duplicate TOC; =0 for disallow duplicate
-const TOC_DUPLICATE_TOLERATE = 1;
-// sensitive to max number in contents
-const FACTOR_NUMBER_MAX = 5;
-// sensitive to discontinue number in contents
-const FACTOR_NUMBER_HOLES = 5;
-// sensitive to decreasing number in contents
-const FACTOR_NUMBER_INVALID = 5;
-// sensitive to non-symbol prefix
-const FACTOR_TEXT_PREFIX = 3;
-// sensitive to uniqueness of prefix pattern
-const KEYWORD_UNIQUE_FACTOR = 4;
-// minimal beauty to pass stage 1
-const BEAUTY_MIN_1 = 0.1;
-// minimal ratio to detect prefix
-const PREFIX_MIN_RATIO = 0.45;
-// number of contents from stage 1 per type
-const TEMPLATE_COUNT_1 = 10;
-// minimal beauty to generate suggestion template
-const BEAUTY_MIN_2 = 0.1;
+/**
+ * Default value of constants used for scoring, any of them may be overridden by `config` option
+ */
+const DEFAULT_CONFIG = Object.freeze({
+  // never try to detect a contents with more items
+  MAX_CONTENTS_LENGTH: 2000,
+  // never try to generate a content with less items
+  MIN_CONTENTS: 3,
+  // title with characters exceed following number considered invalid
+  MAX_TITLE_LENGTH: 200,
+  // sensitivity to small TOC
+  FACTOR_CONTENTS_SIZE: 4,
+  // sensitivity to outliner chapter size
+  FACTOR_OUTLINER: 8,
+  // sensitivity to contents mixed with small and large ones
+  FACTOR_VARIANCE_SIZE: 5,
+  // smaller value mark outliner more strict
+  OUTLINER_DISTANCE: 3,
+  // setsitive to invalid TOC items
+  FACTOR_TITLE_INVALID: 8,
+  // number of allowed duplicate TOC; =0 for disallow duplicate
+  TOC_DUPLICATE_TOLERATE: 1,
+  // sensitive to max number in contents
+  FACTOR_NUMBER_MAX: 5,
+  // sensitive to discontinue number in contents
+  FACTOR_NUMBER_HOLES: 5,
+  // sensitive to decreasing number in contents
+  FACTOR_NUMBER_INVALID: 5,
+  // sensitive to non-symbol prefix
+  FACTOR_TEXT_PREFIX: 3,
+  // sensitive to uniqueness of prefix pattern
+  KEYWORD_UNIQUE_FACTOR: 4,
+  // minimal beauty to pass stage 1
+  BEAUTY_MIN_1: 0.1,
+  // minimal ratio to detect prefix
+  PREFIX_MIN_RATIO: 0.45,
+  // number of contents from stage 1 per type
+  TEMPLATE_COUNT_1: 10,
+  // minimal beauty to generate suggestion template
+  BEAUTY_MIN_2: 0.1,
+  // minimal ratio of nested items placed inside parent sections, and parent sections containing them
+  NEST_MIN_RATIO: 0.8,
+  // headings found only by layout should not be longer than this
+  LAYOUT_TITLE_LENGTH: 30,
+  // width of leading whitespaces for a line to be considered centered, a full width space counts 2
+  LAYOUT_CENTER_INDENT: 8,
+  // numbers allowed to be missing where headings change their format
+  MERGE_NUMBER_GAP: 3,
+  // ratio of headings of two formats allowed to be mixed with each other
+  MERGE_OVERLAP_RATIO: 0.1,
+});
+
+/**
+ * Tuned constants for different kinds of books
+ * @type {Record<string, Partial<typeof DEFAULT_CONFIG>>}
+ */
+const PRESETS = Object.freeze({
+  // web novels with thousands of short chapters, some of them may be missing or duplicated
+  webnovel: Object.freeze({
+    MAX_CONTENTS_LENGTH: 20000,
+    MAX_TITLE_LENGTH: 100,
+    TOC_DUPLICATE_TOLERATE: 2,
+    FACTOR_NUMBER_HOLES: 3,
+    FACTOR_NUMBER_INVALID: 3,
+  }),
+  // classic literature with a few long chapters of various size
+  classic: Object.freeze({
+    MAX_CONTENTS_LENGTH: 500,
+    FACTOR_CONTENTS_SIZE: 2,
+    FACTOR_OUTLINER: 4,
+    FACTOR_VARIANCE_SIZE: 3,
+    FACTOR_NUMBER_MAX: 2,
+  }),
+  // only report contents with high confidence
+  strict: Object.freeze({
+    FACTOR_TITLE_INVALID: 16,
+    TOC_DUPLICATE_TOLERATE: 0,
+    BEAUTY_MIN_1: 0.3,
+    PREFIX_MIN_RATIO: 0.6,
+    BEAUTY_MIN_2: 0.4,
+    NEST_MIN_RATIO: 0.9,
+  }),
+});
+
+/**
+ * Thrown when scores of candidates turn out to be invalid, which should never happen
+ */
+class RecognitionError extends Error {
+  /**
+   * @param {string} message
+   * @param {'INVALID_BEAUTY' | 'PREFIX_MISMATCH'} code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'RecognitionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Thrown when recognition is cancelled by `signal` option
+ */
+class AbortError extends Error {
+  /**
+   * @param {any} [reason] Reason given to `AbortController.abort`
+   */
+  constructor(reason) {
+    super('Recognition aborted', { cause: reason });
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+  }
+}
 
+/**
+ * @param {AbortSignal} [signal]
+ */
+const throwIfAborted = function (signal) {
+  if (signal?.aborted) throw new AbortError(signal.reason);
+};
+
+// Configs returned by `resolveConfig`, which are complete and need no checks
+const resolvedConfigs = new WeakSet([DEFAULT_CONFIG]);
+
+/**
+ * Merge preset and overridden constants with default ones
+ * @param {string} [preset] Name of preset in `PRESETS`
+ * @param {Partial<typeof DEFAULT_CONFIG>} [config] Overridden constants
+ * @returns {typeof DEFAULT_CONFIG}
+ */
+const resolveConfig = function (preset, config = {}) {
+  if (preset == null && resolvedConfigs.has(config)) return config;
+  if (preset != null && !Object.prototype.hasOwnProperty.call(PRESETS, preset)) {
+    throw new RangeError(`Unknown preset "${preset}", expected one of: ${Object.keys(PRESETS).join(', ')}`);
+  }
+  const unknown = Object.keys(config).find(key => !Object.prototype.hasOwnProperty.call(DEFAULT_CONFIG, key));
+  if (unknown) throw new RangeError(`Unknown config "${unknown}"`);
+  const invalid = Object.keys(config).find(key => typeof config[key] !== 'number' || !Number.isFinite(config[key]));
+  if (invalid) throw new RangeError(`Invalid config "${invalid}": ${config[invalid]}, expected a finite number`);
+  const resolved = Object.freeze({ ...DEFAULT_CONFIG, ...(preset != null ? PRESETS[preset] : {}), ...config });
+  resolvedConfigs.add(resolved);
+  return resolved;
+};
 
 /**
  * Ensure that chapter should have similar size
  * @param {{ title: string; cursor: number }[]} contents Size of each section of the book
  * @param {{ chars: number }} context The whole article
+ * @param {Partial<typeof DEFAULT_CONFIG>} [config] Overridden constants, others are default ones
+ * @param {Record<string, number>} [factors] Each factor is written into this object if given
  * @returns number probability the selection is a chapter
  */
-function contentsBeautyBySize(contents, { chars: totalChars }) {
-  if (contents.length > MAX_CONTENTS_LENGTH) return 0;
+function contentsBeautyBySize(contents, { chars: totalChars }, config = DEFAULT_CONFIG, factors = null) {
+  const { MAX_CONTENTS_LENGTH, OUTLINER_DISTANCE, FACTOR_CONTENTS_SIZE, FACTOR_OUTLINER, FACTOR_VARIANCE_SIZE } = resolveConfig(undefined, config);
+  if (contents.length > MAX_CONTENTS_LENGTH) {
+    if (factors) factors.contentsSize = 0;
+    return 0;
+  }
 
   const starts = [0, ...contents.map(content => content.cursor + content.title.length)];
   const ends = [...contents.map(content => content.cursor), totalChars];
   const chapters = ends.map((end, i) => Math.max(end - starts[i], 0));
   if (OUTLINER_DISTANCE * Math.max(...chapters.slice(0, -1)) < chapters[chapters.length - 1]) chapters.pop();
   const length = chapters.length - 1;
-  if (length < 3) return 0;
+  if (length < 3) {
+    if (factors) factors.contentsSize = 0;
+    return 0;
+  }
 
   const values = chapters.slice(1).sort((a, b) => a - b);
   const at = (/** @type {number} */n) => (n < 0 ? values[0] : n > values.length - 1 ? values[values.length - 1] :
@@ -88,25 +202,31 @@ function contentsBeautyBySize(contents, { chars: totalChars }) {
     const t = (l + r) / s;
     return t ** 2;
   };
-  const factors = [
-    (1 / FACTOR_CONTENTS_SIZE) ** (1 / length),
-    (1 / FACTOR_OUTLINER) ** (length / (rightIndex - leftIndex) - 1),
-    (1 / FACTOR_OUTLINER) ** (totalChars / sum(leftIndex, rightIndex) - 1),
-    (1 / FACTOR_VARIANCE_SIZE) ** rate(leftIndex, centerIndex),
-    (1 / FACTOR_VARIANCE_SIZE) ** rate(centerIndex, rightIndex),
-  ];
-  return factors.reduce((x, y) => x * y, 1);
+  const named = {
+    contentsSize: (1 / FACTOR_CONTENTS_SIZE) ** (1 / length),
+    outlierCount: (1 / FACTOR_OUTLINER) ** (length / (rightIndex - leftIndex) - 1),
+    outlierChars: (1 / FACTOR_OUTLINER) ** (totalChars / sum(leftIndex, rightIndex) - 1),
+    varianceSmall: (1 / FACTOR_VARIANCE_SIZE) ** rate(leftIndex, centerIndex),
+    varianceLarge: (1 / FACTOR_VARIANCE_SIZE) ** rate(centerIndex, rightIndex),
+  };
+  if (factors) Object.assign(factors, named);
+  return Object.values(named).reduce((x, y) => x * y, 1);
 }
 
 /**
  * Ensure that title of contents have proper length and not duplicate
  * @param {{ title: string; cursor: number }[]} contents
+ * @param {Partial<typeof DEFAULT_CONFIG>} [config] Overridden constants, others are default ones
+ * @param {Record<string, number>} [factors] Each factor is written into this object if given
  * @returns {number}
  */
-function contentsBeautyByTitle(contents) {
+function contentsBeautyByTitle(contents, config = DEFAULT_CONFIG, factors = null) {
+  const { MIN_CONTENTS, MAX_CONTENTS_LENGTH, MAX_TITLE_LENGTH, TOC_DUPLICATE_TOLERATE, FACTOR_TITLE_INVALID } = resolveConfig(undefined, config);
   const length = contents.length;
-  if (length < MIN_CONTENTS) return 0;
-  if (length > MAX_CONTENTS_LENGTH) return 0;
+  if (length < MIN_CONTENTS || length > MAX_CONTENTS_LENGTH) {
+    if (factors) factors.invalidTitles = 0;
+    return 0;
+  }
   const nameSet = new Map();
   const validSize = contents.filter(({ title }) => {
     if (title.length > MAX_TITLE_LENGTH) return false;
@@ -116,6 +236,7 @@ function contentsBeautyByTitle(contents) {
     return true;
   }).length;
   const beauty = (1 / FACTOR_TITLE_INVALID) ** (length / validSize - 1) ** 0.5;
+  if (factors) factors.invalidTitles = beauty;
   return beauty;
 }
 
@@ -124,79 +245,137 @@ const exactRegex = (/** @type {string} */str) => str.replace(/[-\/\\^$*+?.()|[\]
 /**
  * @param {object} config
  * @param {{ key: string; optional: string }} config.charset
- * @param {(key: string) => string} config.regex
+ * @param {(key: string, optional: string) => string} config.regex
  * @param {(str: string) => number} config.parser
  * @param {string} config.group
  * @param {number} config.priority
+ * @param {boolean} [config.words] Numbers are spelled out in words, and `charset` only lists letters used by them
  */
-const extractNumber = function ({ charset, regex, parser, group, priority }) {
-  const matcher = new RegExp(regex(charset.key, charset.optional));
+const extractNumber = function ({ charset, regex, parser, group, priority, words = false }) {
+  const matcher = new RegExp(regex(charset.key, charset.optional), 'gu');
+  const quickMatcher = new RegExp(`[${exactRegex(charset.key + charset.optional)}]`, 'u');
   return {
-    extract: function (/** @type {string} */str) {
-      const match = str.match(matcher);
-      if (!match) return null;
-      const prefix = str.slice(0, match.index);
-      const infix = match[0];
-      const number = parser(infix);
-      const suffix = str.slice(match.index + infix.length);
-      if (!Number.isFinite(number)) return null;
-      return { prefix, infix, suffix, number };
+    extract: function (/** @type {string} */str, from = 0) {
+      if (!quickMatcher.test(str)) return null;
+      // a malformed number may appear before the real one, e.g. 一一 in 一一第十章
+      matcher.lastIndex = from;
+      for (let match; (match = matcher.exec(str));) {
+        const infix = match[0];
+        const number = parser(infix);
+        if (!Number.isFinite(number)) continue;
+        const prefix = str.slice(0, match.index);
+        const suffix = str.slice(match.index + infix.length);
+        return { prefix, infix, suffix, number };
+      }
+      return null;
     },
     charset,
     regex,
     group,
     priority,
+    words,
   };
 }
 
-const hanMap = {
-  '0': 0, '０': 0, 〇: 0, 零: 0, 一: 1, 二: 2, 两: 2, 兩: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9, 十: 10, 百: 100, 千: 1000,
-  零: 0, 壹: 1, 贰: 2, 叁: 3, 肆: 4, 伍: 5, 陆: 6, 柒: 7, 捌: 8, 玖: 9, 拾: 10, 貳: 2, 參: 3, 陸: 6, 佰: 100, 仟: 1000,
+const hanDigits = {
+  '0': 0, '０': 0, 〇: 0, 零: 0, 一: 1, 二: 2, 两: 2, 兩: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9,
+  壹: 1, 贰: 2, 貳: 2, 叁: 3, 參: 3, 肆: 4, 伍: 5, 陆: 6, 陸: 6, 柒: 7, 捌: 8, 玖: 9,
 };
+const hanUnits = { 十: 10, 拾: 10, 百: 100, 佰: 100, 千: 1000, 仟: 1000 };
+const hanLargeUnits = { 万: 1e4, 萬: 1e4, 亿: 1e8, 億: 1e8 };
+// contracted forms of twenty, thirty and forty
+const hanTens = { 廿: 20, 卅: 30, 卌: 40 };
 
 /**
+ * Parse Han numerals, written either positionally (`一万零二百三十`, `廿三`) or digit by digit (`二〇一二`).
+ * Malformed numerals (`十十十`, `一二`, `零五`) are NaN.
  * @param {string} text
  * @returns number
  */
-const parseHanNumber = function parse(text) {
-  let result = 0, current = 0;
-  for (const ch of text) {
-    const val = hanMap[ch];
-    if (val >= 10) {
-      result += (current || 1) * val;
-      current = 0;
+const parseHanNumber = function (text) {
+  const chars = [...text];
+  if (chars.every(ch => ch in hanDigits)) {
+    if (chars.length === 1) return hanDigits[chars[0]];
+    // digit by digit form needs a zero, or it is more likely to be a list like 一二
+    if (!chars.some(ch => hanDigits[ch] === 0) || hanDigits[chars[0]] === 0) return NaN;
+    return chars.reduce((num, ch) => num * 10 + hanDigits[ch], 0);
+  }
+  let result = 0, section = 0, digit = null, zero = false;
+  let lastUnit = Infinity, lastLargeUnit = Infinity;
+  for (const ch of chars) {
+    if (ch in hanDigits) {
+      const val = hanDigits[ch];
+      if (digit != null) return NaN;
+      if (val === 0) {
+        if (zero || !section && !result) return NaN;
+        zero = true;
+      } else {
+        digit = val;
+      }
+    } else if (ch in hanUnits) {
+      const unit = hanUnits[ch];
+      if (unit >= lastUnit || digit == null && unit !== 10) return NaN;
+      section += (digit ?? 1) * unit;
+      [digit, zero, lastUnit] = [null, false, unit];
+    } else if (ch in hanTens) {
+      if (digit != null || lastUnit <= 10) return NaN;
+      section += hanTens[ch];
+      [zero, lastUnit] = [false, 10];
+    } else if (ch in hanLargeUnits) {
+      const unit = hanLargeUnits[ch];
+      section += digit ?? 0;
+      if (!section || unit >= lastLargeUnit) return NaN;
+      result += section * unit;
+      [section, digit, zero, lastUnit, lastLargeUnit] = [0, null, false, Infinity, unit];
     } else {
-      current = current * 10 + val;
+      return NaN;
     }
   }
-  return result + current;
+  if (zero && digit == null) return NaN;
+  return result + section + (digit ?? 0);
 };
 
 
-const hanCharset1 = { key: '零〇一二三四五六七八九十百千', optional: '0０两兩' };
-const hanCharset2 = { key: '零壹贰貳叁參肆伍陆陸柒捌玖拾佰仟', optional: '' };
+const hanCharset1 = { key: '零〇一二三四五六七八九十百千万亿', optional: '0０两兩萬億廿卅卌' };
+const hanCharset2 = { key: '零壹贰貳叁參肆伍陆陸柒捌玖拾佰仟', optional: '万萬亿億' };
 const hanCharset3 = { key: hanCharset1.key + hanCharset2.key, optional: hanCharset1.optional + hanCharset2.optional };
 
-const parseHan1 = extractNumber({ charset: hanCharset1, regex: chars => `[${chars}]+`, parser: parseHanNumber, group: 'han', priority: 1 });
-const parseHan2 = extractNumber({ charset: hanCharset2, regex: chars => `[${chars}]+`, parser: parseHanNumber, group: 'han', priority: 1 });
-const parseHan3 = extractNumber({ charset: hanCharset3, regex: chars => `[${chars}]+`, parser: parseHanNumber, group: 'han', priority: 2 });
+/**
+ * Zeros of digits are only read between Han digits, like 二0一二, instead of 0 in 第10章
+ * @param {string} chars
+ * @param {string} optional
+ */
+const hanRegex = function (chars, optional) {
+  const han = `[${chars}${optional.replace(/[0０]/g, '')}]`;
+  return `${han}(?:${han}|[0０]+(?=${han}))*`;
+};
+const parseHan1 = extractNumber({ charset: hanCharset1, regex: hanRegex, parser: parseHanNumber, group: 'han', priority: 1 });
+const parseHan2 = extractNumber({ charset: hanCharset2, regex: hanRegex, parser: parseHanNumber, group: 'han', priority: 1 });
+const parseHan3 = extractNumber({ charset: hanCharset3, regex: hanRegex, parser: parseHanNumber, group: 'han', priority: 2 });
 
 
 const romanMap = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+const romanDigits = [['', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX'], ['', 'X', 'XX', 'XXX', 'XL', 'L', 'LX', 'LXX', 'LXXX', 'XC'],
+  ['', 'C', 'CC', 'CCC', 'CD', 'D', 'DC', 'DCC', 'DCCC', 'CM'], ['', 'M', 'MM', 'MMM']];
 /**
+ * Words like Did, mild or DID are not numbers, so numerals in mixed case or not written canonically are NaN
  * @param {string} text
  * @returns number
  */
 const parseRomanNumber = function (text) {
-  const normalized = text.normalize('NFKC').toUpperCase();
+  const normalized = text.normalize('NFKC');
+  if (normalized !== normalized.toUpperCase() && normalized !== normalized.toLowerCase()) return NaN;
+  const upper = normalized.toUpperCase();
   let num = 0, prevVal = 0, prevLen = 0;
-  for (const part of normalized.match(/(.)\1*/g)) {
+  for (const part of upper.match(/(.)\1*/g)) {
     const val = romanMap[part[0]] || 0, len = part.length;
     if (val > prevVal) num -= prevVal * prevLen * 2;
     num += val * len;
     [prevVal, prevLen] = [val, len];
   }
-  return num;
+  if (!(num > 0 && num < 4000)) return NaN;
+  const canonical = [...String(num).padStart(4, '0')].map((digit, index) => romanDigits[3 - index][digit]).join('');
+  return canonical === upper ? num : NaN;
 };
 
 const romanCharset1 = { key: 'IVXLCDM', optional: '' };
@@ -220,6 +399,172 @@ const parseNumericNumber = function (text) {
 const parseNumeric1 = extractNumber({ charset: { key: '0123456789', optional: '' }, regex: chars => `[${chars}]+`, parser: parseNumericNumber, group: 'numeric', priority: 1 });
 const parseNumeric2 = extractNumber({ charset: { key: '０１２３４５６７８９', optional: '' }, regex: chars => `[${chars}]+`, parser: parseNumericNumber, group: 'numeric', priority: 1 });
 
+const digitBlocks = [0x0660, 0x06F0, 0x0966];
+/**
+ * @param {string} text
+ * @returns number
+ */
+const parseDigitsNumber = function (text) {
+  let num = 0;
+  for (const ch of text) {
+    const code = ch.charCodeAt(), zero = digitBlocks.find(zero => code >= zero && code < zero + 10);
+    num = num * 10 + code - zero;
+  }
+  return num;
+};
+
+const digitsCharset = zero => ({ key: String.fromCharCode(...Array.from({ length: 10 }, (_, i) => zero + i)), optional: '' });
+
+const parseNumeric3 = extractNumber({ charset: digitsCharset(0x0660), regex: chars => `[${chars}]+`, parser: parseDigitsNumber, group: 'numeric', priority: 1 });
+const parseNumeric4 = extractNumber({ charset: digitsCharset(0x06F0), regex: chars => `[${chars}]+`, parser: parseDigitsNumber, group: 'numeric', priority: 1 });
+const parseNumeric5 = extractNumber({ charset: digitsCharset(0x0966), regex: chars => `[${chars}]+`, parser: parseDigitsNumber, group: 'numeric', priority: 1 });
+
+// enclosed numbers as [first code point, value of it, count]
+const enclosedBlocks = {
+  circled: [[0x2460, 1, 20], [0x3251, 21, 15], [0x32B1, 36, 15]],
+  parenthesized: [[0x2474, 1, 20]],
+  fullStop: [[0x2488, 1, 20]],
+  negative: [[0x2776, 1, 10], [0x24EB, 11, 10], [0x2780, 1, 10], [0x278A, 1, 10]],
+};
+/** @type {Record<string, number>} */
+const enclosedMap = {};
+Object.values(enclosedBlocks).flat().forEach(([code, value, count]) => {
+  for (let i = 0; i < count; i++) enclosedMap[String.fromCharCode(code + i)] = value + i;
+});
+const enclosedCharset = blocks => ({ key: blocks.map(([code, , count]) => String.fromCharCode(...Array.from({ length: count }, (_, i) => code + i))).join(''), optional: '' });
+
+/**
+ * @param {string} text
+ * @returns number
+ */
+const parseEnclosedNumber = function (text) {
+  return enclosedMap[text];
+};
+
+const parseEnclosed1 = extractNumber({ charset: enclosedCharset(enclosedBlocks.circled), regex: chars => `[${chars}]`, parser: parseEnclosedNumber, group: 'enclosed', priority: 1 });
+const parseEnclosed2 = extractNumber({ charset: enclosedCharset(enclosedBlocks.parenthesized), regex: chars => `[${chars}]`, parser: parseEnclosedNumber, group: 'enclosed', priority: 1 });
+const parseEnclosed3 = extractNumber({ charset: enclosedCharset(enclosedBlocks.fullStop), regex: chars => `[${chars}]`, parser: parseEnclosedNumber, group: 'enclosed', priority: 1 });
+const parseEnclosed4 = extractNumber({ charset: enclosedCharset(enclosedBlocks.negative), regex: chars => `[${chars}]`, parser: parseEnclosedNumber, group: 'enclosed', priority: 2 });
+
+const hangulMap = { 영: '〇', 공: '〇', 일: '一', 이: '二', 삼: '三', 사: '四', 오: '五', 육: '六', 칠: '七', 팔: '八', 구: '九', 십: '十', 백: '百', 천: '千', 만: '万', 억: '亿' };
+/**
+ * Hangul numerals are written the same way as Han ones
+ * @param {string} text
+ * @returns number
+ */
+const parseHangulNumber = function (text) {
+  return parseHanNumber([...text].map(ch => hangulMap[ch]).join(''));
+};
+
+const parseHangul = extractNumber({ charset: { key: '영일이삼사오육칠팔구십백천만억', optional: '공' }, regex: chars => `[${chars}]+`, parser: parseHangulNumber, group: 'hangul', priority: 2 });
+
+/**
+ * Regular expression matches a sequence of words. Words are matched in lower case, capitalized or upper case
+ * @param {string[]} words
+ * @param {string} joiner Regular expression matches text between two words
+ * @returns {string}
+ */
+const wordsRegex = function (words, joiner) {
+  const variants = words.slice().sort((a, b) => b.length - a.length)
+    .flatMap(word => [word, word[0].toUpperCase() + word.slice(1), word.toUpperCase()]);
+  const word = `(?:${[...new Set(variants)].join('|')})`;
+  return `(?<!\\p{L})${word}(?:${joiner}${word})*(?!\\p{L})`;
+};
+
+/**
+ * Characters used by given words in all cases
+ * @param {string[]} words
+ * @returns {string}
+ */
+const wordsCharset = function (words) {
+  return [...new Set(words.join('') + words.join('').toUpperCase())].join('');
+};
+
+const englishUnits = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const englishTens = ['twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const englishOrdinals = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth',
+  'tenth', 'eleventh', 'twelfth', ...englishUnits.slice(13).map(word => word + 'th')];
+/** @type {Record<string, number>} */
+const englishMap = { hundred: 100, thousand: 1000, hundredth: 100, thousandth: 1000 };
+englishUnits.forEach((word, index) => { englishMap[word] = index; });
+englishOrdinals.forEach((word, index) => { englishMap[word] = index + 1; });
+englishTens.forEach((word, index) => {
+  englishMap[word] = englishMap[word.replace(/y$/, 'ieth')] = index * 10 + 20;
+});
+
+/**
+ * Parse English cardinal or ordinal numbers, like "Twenty-Three", "One Hundred and Five", "First"
+ * @param {string} text
+ * @returns number
+ */
+const parseEnglishNumber = function (text) {
+  const words = text.toLowerCase().split(/[-\s]+/).filter(word => word !== 'and');
+  let result = 0, current = 0, last = '';
+  for (const word of words) {
+    const val = englishMap[word];
+    if (val === 1000) {
+      if (last === 'thousand') return NaN;
+      result += (current || 1) * 1000;
+      current = 0;
+      last = 'thousand';
+    } else if (val === 100) {
+      if (last === 'hundred' || last === 'teen' || last === 'tens') return NaN;
+      current = (current || 1) * 100;
+      last = 'hundred';
+    } else if (val < 10) {
+      if (last === 'unit' || last === 'teen' || last === 'tens' && current % 10) return NaN;
+      current += val;
+      last = 'unit';
+    } else {
+      if (last && last !== 'hundred' && last !== 'thousand') return NaN;
+      current += val;
+      last = val < 20 ? 'teen' : 'tens';
+    }
+  }
+  return result + current;
+};
+
+const englishWords = [...Object.keys(englishMap)];
+const parseEnglish = extractNumber({ charset: { key: wordsCharset(englishWords), optional: '' }, regex: () => wordsRegex(englishWords, '(?:-|\\s+(?:and|And|AND)\\s+|\\s+)'), parser: parseEnglishNumber, group: 'english', priority: 2, words: true });
+
+const frenchUnits = ['zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf',
+  'dix', 'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize'];
+const frenchTens = ['vingt', 'trente', 'quarante', 'cinquante', 'soixante'];
+/** @type {Record<string, number>} */
+const frenchMap = { une: 1, premier: 1, première: 1, second: 2, seconde: 2, vingts: 20, cent: 100, cents: 100, mille: 1000 };
+const frenchOrdinal = (/** @type {string} */word) => word.replace(/e$/, '').replace(/q$/, 'qu').replace(/f$/, 'v') + 'ième';
+[...frenchUnits.map((word, index) => [word, index]), ...frenchTens.map((word, index) => [word, index * 10 + 20]), ['cent', 100], ['mille', 1000]]
+  .forEach(([word, val]) => { frenchMap[word] = frenchMap[frenchOrdinal(word)] = val; });
+
+/**
+ * Parse French cardinal or ordinal numbers, like "Vingt et Un", "Quatre-Vingt-Dix", "Premier"
+ * @param {string} text
+ * @returns number
+ */
+const parseFrenchNumber = function (text) {
+  const words = text.toLowerCase().split(/[-\s]+/).filter(word => word !== 'et');
+  let result = 0, current = 0;
+  for (const word of words) {
+    const val = frenchMap[word];
+    if (val === 1000) {
+      result += (current || 1) * 1000;
+      current = 0;
+    } else if (val === 100) {
+      current = (current || 1) * 100;
+    } else if (val === 20 && current % 100 === 4) {
+      // quatre-vingt
+      current += 76;
+    } else {
+      current += val;
+    }
+  }
+  return result + current;
+};
+
+const frenchWords = [...Object.keys(frenchMap)];
+const parseFrench = extractNumber({ charset: { key: wordsCharset(frenchWords), optional: '' }, regex: () => wordsRegex(frenchWords, '(?:-|\\s+(?:et|Et|ET)\\s+|\\s+)'), parser: parseFrenchNumber, group: 'french', priority: 3, words: true });
+
 const numberParserList = [
   parseHan1,
   parseHan2,
@@ -230,21 +575,67 @@ const numberParserList = [
   parseRoman4,
   parseNumeric1,
   parseNumeric2,
+  parseNumeric3,
+  parseNumeric4,
+  parseNumeric5,
+  parseEnclosed1,
+  parseEnclosed2,
+  parseEnclosed3,
+  parseEnclosed4,
+  parseHangul,
+  parseEnglish,
+  parseFrench,
 ].map((p, index) => Object.assign({ index }, p));
 
+// any of these characters should appear in a line before trying number parsers on it
+const numberCharsRegex = new RegExp(`[${exactRegex(numberParserList.map(parser => parser.charset.key + parser.charset.optional).join(''))}]`, 'u');
+
 const tokenRegex = /(?:\p{Script=Latn}+|\p{Script=Cyrl}+|\p{Script=Grek}+|\p{Script=Geor}+|\p{Script=Armn}+|\p{Script=Arab}+|\p{Script=Tibetan}+|\p{Number}+|.)/sg;
 
 /**
- * @param {{ title: string; cursor: number; number: number }[]} contents Size of each section of the book
- * @returns {number}
+ * Split contents into sections by cursors of their parent headings
+ * @template {{ cursor: number }} T
+ * @param {T[]} contents
+ * @param {number[]} breaks Sorted cursors of parent headings
+ * @returns {T[][]} contents before first parent heading, and contents of each section
+ */
+const splitSections = function (contents, breaks) {
+  const sections = [[]];
+  let index = 0;
+  contents.forEach(item => {
+    while (index < breaks.length && breaks[index] <= item.cursor) {
+      sections.push([]);
+      index++;
+    }
+    sections[sections.length - 1].push(item);
+  });
+  return sections;
+};
+
+/**
+ * Cursors where numbers in contents restart from 0 or 1
+ * @param {{ cursor: number; number: number }[]} contents
+ * @returns {number[]}
  */
-const contentsBeautyByNumber = function (contents) {
-  const numbers = contents.map(x => x.number);
-  const length = numbers.length;
-  if (length < MIN_CONTENTS) return 0;
+const restartBreaks = function (contents) {
+  let last = null;
+  return contents.filter(({ number }) => {
+    if (number == null) return false;
+    const restart = last != null && number <= 1 && number < last;
+    last = number;
+    return restart;
+  }).map(item => item.cursor);
+};
+
+/**
+ * Indexes of longest non-decreasing subsequence of numbers, missing numbers are skipped
+ * @param {number[]} numbers
+ * @returns {number[]}
+ */
+const longestNonDecreasingIndexes = function (numbers) {
   const best = [];
   const prev = numbers.map((n, i) => {
-    if (n === null) return;
+    if (n == null) return;
     if (!best.length || numbers[best[best.length - 1]] <= n) {
       best.push(i);
       if (best.length === 1) return null;
@@ -252,7 +643,7 @@ const contentsBeautyByNumber = function (contents) {
     } else {
       let l = 0, h = best.length - 1, m;
       while (l < h) {
-        m = Math.floor(l + h) / 2;
+        m = Math.floor((l + h) / 2);
         if (numbers[best[m]] <= n) l = m + 1; else h = m;
       }
       best[l] = i;
@@ -260,71 +651,651 @@ const contentsBeautyByNumber = function (contents) {
     }
   });
   const seq = Array(best.length);
-  for (let i = best.length - 1, n = best[i]; i >= 0; i--, n = prev[n]) seq[i] = numbers[n];
-  const size = seq.length, max = seq[seq.length - 1], min = Math.min(seq[0], 1);
-  if (!max) return 0;
-  let holes = max - min + 1, seen = new Set();
-  seq.forEach(n => !seen.has(n) && (seen.add(n), holes--));
-  const factors = [
-    (1 / FACTOR_NUMBER_MAX) ** (1 / max),
-    (1 / FACTOR_NUMBER_INVALID) ** (length / size - 1),
-    (1 / FACTOR_NUMBER_HOLES) ** (max / (max - holes) - 1),
-  ];
-  if (factors.some(x => !(x >= 0))) process.exit(-1);
-  return factors.reduce((x, y) => x * y);
+  for (let i = best.length - 1, n = best[i]; i >= 0; i--, n = prev[n]) seq[i] = n;
+  return seq;
+};
+
+/**
+ * Longest non-decreasing subsequence of numbers, missing numbers are skipped
+ * @param {number[]} numbers
+ * @returns {number[]}
+ */
+const longestNonDecreasing = function (numbers) {
+  return longestNonDecreasingIndexes(numbers).map(index => numbers[index]);
+};
+
+/**
+ * Ensure that numbers of headings are in order. Note that `breaks` comes before `config`,
+ * pass `[]` if numbers never restart, like `contentsBeautyByNumber(contents, [], { FACTOR_NUMBER_HOLES: 2 })`
+ * @param {{ title: string; cursor: number; number: number }[]} contents Size of each section of the book
+ * @param {number[]} [breaks] Cursors of parent headings, numbers may restart after each of them
+ * @param {Partial<typeof DEFAULT_CONFIG>} [config] Overridden constants, others are default ones
+ * @param {Record<string, number>} [factors] Each factor is written into this object if given
+ * @returns {number}
+ */
+const contentsBeautyByNumber = function (contents, breaks = [], config = DEFAULT_CONFIG, factors = null) {
+  const { MIN_CONTENTS, FACTOR_NUMBER_MAX, FACTOR_NUMBER_INVALID, FACTOR_NUMBER_HOLES } = resolveConfig(undefined, config);
+  const length = contents.length;
+  if (length < MIN_CONTENTS) {
+    if (factors) factors.maxNumber = 0;
+    return 0;
+  }
+  let size = 0, max = 0, total = 0, holes = 0;
+  splitSections(contents, breaks).forEach(section => {
+    const seq = longestNonDecreasing(section.map(x => x.number));
+    if (!seq.length) return;
+    const last = seq[seq.length - 1], first = Math.min(seq[0], 1), seen = new Set(seq);
+    size += seq.length;
+    max = Math.max(max, last);
+    total += last;
+    holes += last - first + 1 - seen.size;
+  });
+  if (!max) {
+    if (factors) factors.maxNumber = 0;
+    return 0;
+  }
+  const named = {
+    maxNumber: (1 / FACTOR_NUMBER_MAX) ** (1 / max),
+    invalidNumbers: (1 / FACTOR_NUMBER_INVALID) ** (length / size - 1),
+    numberHoles: (1 / FACTOR_NUMBER_HOLES) ** (total / (total - holes) - 1),
+  };
+  if (Object.values(named).some(x => !(x >= 0))) {
+    throw new RecognitionError(`Invalid beauty by number: ${JSON.stringify(named)}`, 'INVALID_BEAUTY');
+  }
+  if (factors) Object.assign(factors, named);
+  return Object.values(named).reduce((x, y) => x * y);
 }
 
-/** @type {({ pattern: string; key: string; priority: number; beauty: number } & ({ type: 'number'; parser: typeof numberParserList[number] } | { type: 'prefix', prefixBeauty: number }))[]} */
-const patterns = [];
+/**
+ * Find missing, duplicate and out-of-order headings by their numbers.
+ * Numbers restart from 0 or 1 are considered as a new sequence, like chapters in a new volume.
+ * @param {{ title: string; cursor: number }[]} contents
+ * @param {(number | undefined)[]} numbers Number of each heading
+ * @param {number} level Level of the contents
+ * @param {typeof DEFAULT_CONFIG} config
+ * @returns {Anomaly[]}
+ */
+const contentsAnomalies = function (contents, numbers, level, config) {
+  const { MAX_CONTENTS_LENGTH } = config;
+  /** @type {Anomaly[]} */
+  const anomalies = [];
+  const items = contents.map((item, index) => ({ ...item, number: numbers[index] }));
+  splitSections(items, restartBreaks(items)).forEach(section => {
+    const kept = new Set(longestNonDecreasingIndexes(section.map(item => item.number)));
+    const present = new Set(section.map(item => item.number));
+    let last = null;
+    section.forEach(({ title, cursor, number }, index) => {
+      if (number == null) return;
+      if (!kept.has(index)) {
+        anomalies.push({ type: 'out-of-order', level, expected: (last ?? 0) + 1, found: number, cursor, title });
+        return;
+      }
+      if (number === last) {
+        anomalies.push({ type: 'duplicate', level, expected: last + 1, found: number, cursor, title });
+        return;
+      }
+      const expected = last == null ? Math.min(number, 1) : last + 1;
+      // Misplaced headings are reported as out-of-order instead
+      let missing = expected;
+      if (number - expected <= MAX_CONTENTS_LENGTH) while (missing < number && present.has(missing)) missing++;
+      if (missing < number) anomalies.push({ type: 'missing', level, expected: missing, found: number, cursor, title });
+      last = number;
+    });
+  });
+  return anomalies;
+};
+
+/**
+ * Check if child contents are placed inside sections of parent contents
+ * @param {{ cursor: number }[]} parent
+ * @param {{ cursor: number }[]} child
+ * @param {typeof DEFAULT_CONFIG} config
+ * @returns {boolean}
+ */
+const contentsNested = function (parent, child, config) {
+  const { NEST_MIN_RATIO } = config;
+  if (child.length <= parent.length) return false;
+  const [orphans, ...sections] = splitSections(child, parent.map(item => item.cursor));
+  if ((child.length - orphans.length) / child.length < NEST_MIN_RATIO) return false;
+  if (sections.filter(section => section.length).length / parent.length < NEST_MIN_RATIO) return false;
+  // Parent headings should be placed right before child headings, instead of in the middle of a child section
+  const aligned = sections.filter((section, index) => {
+    const previous = index ? sections[index - 1] : orphans;
+    if (!section.length || !previous.length) return true;
+    const start = parent[index].cursor;
+    return section[0].cursor - start < start - previous[previous.length - 1].cursor;
+  }).length;
+  if (aligned / parent.length < NEST_MIN_RATIO) return false;
+  return true;
+};
 
 /**
- * 
- * @param {string} article
- * @param {{ chars: number; tokenCounts: Map<string, number>; lines: { line: string; tokens: string[]; numbers: number[] }[] }} articleContext
+ * Convert leveled contents into a tree
+ * @template {{ level: number }} T
+ * @param {T[]} contents
+ * @returns {(T & { children: any[] })[]}
  */
-const recognizeContents = function (article, articleContext = {}) {
-  Object.assign(articleContext, {
-    chars: 0,
-    tokenCounts: new Map(),
-    lines: [],
+const contentsTree = function (contents) {
+  const root = [], stack = [];
+  contents.forEach(item => {
+    const node = { ...item, children: [] };
+    while (stack.length && stack[stack.length - 1].level >= node.level) stack.pop();
+    (stack.length ? stack[stack.length - 1].children : root).push(node);
+    stack.push(node);
   });
-  /** @typedef {ReturnType<typeof numberParserList[number]['extract']> & { cursor: number; title: string }} NumberMatchItem */
-  /** @type {Map<string, NumberMatchItem>[]>[]} */
-  const numberMatching = numberParserList.map(_ => new Map());
-  /** @type {Map<string, { cursor: number; title: string; context: { line: string; tokens: RegExpMatchArray | null; numbers: number[]; } }[]>} */
-  const prefixMatching = new Map();
-  let cursor = 0;
-  const lines = article.split('\n');
-  lines.forEach(line => {
+  return root;
+};
+
+// Words used for volumes and chapters right after the number, like 第十二章, 제십이장
+const titleUnitRegex = /^[章节節回卷集部篇幕话話册冊折季장권화부편]/u;
+// Number should not be a part of a word, like 一 in 一切
+const titleNumberEndRegex = /^(?:$|[\s\p{P}\p{S}])/u;
+// Spaces next to Han, Hangul, kana, CJK punctuation and full-width forms, which are written without spaces between words
+const cjkSpaceRegex = / (?=[\p{Script=Han}\p{Script=Hangul}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303F\uFF00-\uFFEF])|(?<=[\p{Script=Han}\p{Script=Hangul}\p{Script=Hiragana}\p{Script=Katakana}\u3000-\u303F\uFF00-\uFFEF]) /gu;
+// Text before the number, like 第 or Chapter, should be short
+const TITLE_LABEL_LENGTH = 10;
+// Spelled-out numbers only follow these labels, elsewhere they are words like One in One Day
+const titleWordLabelRegex = /^(?:chapter|chap\.|part|book|volume|vol\.|section|act|scene|episode|canto|chapitre|livre|tome|partie|acte|scène|épisode)(?:\s+the)?$/iu;
+const titleBrackets = { '【': '】', '〖': '〗', '「': '」', '『': '』', '《': '》', '[': ']', '(': ')', '（': '）', '〔': '〕' };
+// Word counts and update notes appended to chapter names, like （4000字）, 求月票, 二合一
+const titleNoteRegex = /^(?:\s*[\d.,，]+\s*[kKwW万千]?\s*字|求.*|.*(?:加更|补更|二合一|三合一|大章|月票|推荐票|订阅|打赏)|第?[一二三四五六七八九十\d]+更)[!！~～。]*\s*$/u;
+const titleTrailingNoteRegex = /[\s,，、。!！~～—-]*(?:求(?:月票|订阅|推荐|收藏|打赏|票)+|[二三四]合一|加更|补更)[!！~～。]*$/u;
+
+/**
+ * Remove decorations from the name of a chapter
+ * @param {string} name
+ * @returns {string}
+ */
+const cleanTitleName = function (name) {
+  let cleaned = name.replace(/[\s　]+/gu, ' ').trim().replace(/^[:：·.．、\-—_ 】〗」』》\])）〕]+/u, '');
+  for (let changed = true; changed;) {
+    changed = false;
+    const last = cleaned[cleaned.length - 1];
+    const open = Object.keys(titleBrackets).find(open => titleBrackets[open] === last);
+    const start = open != null ? cleaned.lastIndexOf(open) : -1;
+    if (start >= 0 && titleNoteRegex.test(cleaned.slice(start + 1, -1))) {
+      cleaned = cleaned.slice(0, start).trim();
+      changed = true;
+    } else if (titleTrailingNoteRegex.test(cleaned) && cleaned.replace(titleTrailingNoteRegex, '')) {
+      cleaned = cleaned.replace(titleTrailingNoteRegex, '').trim();
+      changed = true;
+    }
+  }
+  const open = cleaned[0];
+  if (titleBrackets[open] && cleaned.endsWith(titleBrackets[open]) && cleaned.indexOf(titleBrackets[open]) === cleaned.length - 1) {
+    cleaned = cleaned.slice(1, -1).trim();
+  }
+  return cleaned;
+};
+
+/**
+ * Number right after the prefix at the start of the text, like 12 after 卷一 第 in 卷一 第12章
+ * @param {typeof numberParserList[number]} parser
+ * @param {string} str
+ * @param {string} prefix Text before the number, leading whitespaces of `str` are skipped
+ * @returns {ReturnType<typeof numberParserList[number]['extract']>}
+ */
+const extractAfter = function (parser, str, prefix) {
+  const start = str.length - str.trimStart().length;
+  if (!str.startsWith(prefix, start)) return null;
+  const matched = parser.extract(str, start + prefix.length);
+  return matched && matched.prefix.length === start + prefix.length ? matched : null;
+};
+
+/**
+ * @typedef {object} TitleParts
+ * @property {string} label Volume or chapter label with its number, like 第十二章 or Chapter 12; empty if not numbered
+ * @property {number | null} number Value of the number in the label
+ * @property {string | null} numeral Numeral system of the number, `group` of the parser, like `han` or `roman`
+ * @property {string} name Name of the chapter, without brackets, word counts or update notes
+ * @property {string} display Label and name separated by a single space
+ */
+
+/**
+ * Split a heading into label, number and chapter name
+ * @param {string} title
+ * @param {object} [options]
+ * @param {string} [options.prefix] Prefer the number after this text, as found by a number template
+ * @param {string} [options.numeral] Numeral system of the number after `prefix`, as found by a number template.
+ * Spelled-out numbers are only read after a label like Chapter, or after `prefix` if they are of this system.
+ * @param {boolean} [options.numbered=true] If false, the whole title is the name
+ * @returns {TitleParts}
+ */
+const parseTitle = function (title, { prefix = null, numeral = null, numbered = true } = {}) {
+  const candidates = numbered ? numberParserList
+    .map(parser => ({ parser, matched: (prefix != null && extractAfter(parser, title, prefix)) || parser.extract(title) }))
+    .filter(({ parser, matched }) => matched &&
+      (matched.prefix.trim().length <= TITLE_LABEL_LENGTH || prefix != null && matched.prefix.trimStart() === prefix) &&
+      (matched.prefix.trim() === '' || !sentenceEndRegex.test(matched.prefix.trim())) &&
+      (titleNumberEndRegex.test(matched.suffix) || titleUnitRegex.test(matched.suffix)) &&
+      (!parser.words || titleWordLabelRegex.test(matched.prefix.trim()) ||
+        parser.group === numeral && prefix != null && matched.prefix.trimStart() === prefix)) : [];
+  const best = candidates.find(({ matched }) => prefix != null && matched.prefix.trimStart() === prefix) ??
+    candidates.reduce((x, y) => x == null ||
+      y.matched.prefix.length < x.matched.prefix.length ||
+      y.matched.prefix.length === x.matched.prefix.length && y.matched.infix.length > x.matched.infix.length ? y : x, null);
+  if (!best) {
+    const name = cleanTitleName(title);
+    return { label: '', number: null, numeral: null, name, display: name };
+  }
+  const { matched, parser } = best;
+  // Spaces are allowed around the number in 第 十二 章
+  const spaces = /[第제]$/u.test(matched.prefix.trim()) ? matched.suffix.match(/^[\s　]*/u)[0] : '';
+  const unitChar = matched.suffix.slice(spaces.length).match(titleUnitRegex)?.[0];
+  const unit = unitChar ? spaces + unitChar : '';
+  // Spaces next to CJK characters like 第 十二 章 are removed, others like Chapter ٣ are kept as a single half-width space
+  const label = (matched.prefix + matched.infix + unit).trim().replace(/^[【〖「『《\[(（〔]+/u, '')
+    .replace(/[\s　]+/gu, ' ')
+    .replace(cjkSpaceRegex, '');
+  const name = cleanTitleName(matched.suffix.slice(unit.length));
+  return { label, number: matched.number, numeral: parser.group, name, display: name ? `${label} ${name}` : label };
+};
+
+/**
+ * @typedef {object} ContentsItem
+ * @property {string} title Trimmed line of the heading
+ * @property {number} cursor Offset of the heading line in the article
+ * @property {boolean} [special] If the heading is a prologue, epilogue or side story attached to the contents
+ */
+
+/**
+ * @typedef {object} RecognizeOptions
+ * @property {boolean} [multiLevel=true] Find contents nested into or wrapping around the best one
+ * @property {number} [alternatives=0] Also list this many best candidate templates
+ * @property {string} [preset] Name of tuned constants in `PRESETS`
+ * @property {Partial<typeof DEFAULT_CONFIG>} [config] Override constants used for scoring
+ * @property {(progress: { phase: 'scan' | 'score'; processed: number; total?: number }) => void} [onProgress]
+ * Called periodically while scanning the article, and once before scoring candidates
+ * @property {number} [size] Length of the whole article, reported as `total` by `onProgress`
+ * @property {string[]} [specialKeywords] Headings start with these are attached to the contents, besides `SPECIAL_KEYWORDS`
+ * @property {ExplainItem[]} [explain] Every candidate template is pushed into this array with its beauty factors,
+ * even if no contents found
+ * @property {AbortSignal} [signal] Throw `AbortError` once aborted, checked periodically while scanning and scoring
+ * @property {{ positive?: string[]; negative?: string[] }} [headings] Lines confirmed as headings, or not, by the user.
+ * Templates matching any negative line are dropped. The best contents match all positive lines if any template does,
+ * or as many of them as possible, even if their beauty is below thresholds; other levels are added to match the rest.
+ */
+
+/**
+ * @typedef {object} ContentsAlternative
+ * @property {string} template
+ * @property {number} beauty
+ * @property {number} priority Smaller is preferred when beauty equals
+ * @property {'number' | 'prefix' | 'layout'} type Whether the template is generated from numbers or common prefix of headings,
+ * or headings are found by layout of lines around them
+ * @property {number} count Number of headings matched by the template
+ */
+
+/**
+ * @typedef {object} ExplainItem
+ * @property {string | null} template
+ * @property {'number' | 'prefix' | 'layout'} type
+ * @property {number} priority
+ * @property {number} count Number of headings matched by the template
+ * @property {1 | 2} stage Stage 1 scores lines collected while scanning, stage 2 scores all lines matched by the template
+ * @property {number} beauty Product of all factors
+ * @property {Record<string, number>} factors Each factor between 0 and 1, named by what it penalizes:
+ * `contentsSize`, `outlierCount`, `outlierChars`, `varianceSmall`, `varianceLarge` by `contentsBeautyBySize`,
+ * `invalidTitles` by `contentsBeautyByTitle`, `maxNumber`, `invalidNumbers`, `numberHoles` by `contentsBeautyByNumber`,
+ * `prefixUniqueness` for prefix templates, and `layout` for layout signals
+ * @property {'BEAUTY_MIN_1' | 'TEMPLATE_COUNT_1' | 'BEAUTY_MIN_2' | 'headings' | null} rejectedBy The threshold rejected the template,
+ * or `headings` if it matches a negative line of `headings` option
+ * @property {number} [level] Level of the template in the result, if used
+ */
+
+/**
+ * @typedef {object} Anomaly
+ * @property {'missing' | 'duplicate' | 'out-of-order'} type
+ * @property {number} level Level of the heading
+ * @property {number} expected Number expected at this place
+ * @property {number} found Number of the heading; for `missing`, numbers from `expected` to `found - 1` are not found
+ * @property {number} cursor Offset of the heading in the article
+ * @property {string} title Title of the heading
+ */
+
+/**
+ * @typedef {object} RecognizeResult
+ * @property {(ContentsItem & TitleParts & { level: number })[]} content Headings of all levels in order of the article
+ * @property {(ContentsItem & TitleParts & { level: number; children: RecognizeResult['tree'] })[]} tree Headings nested by level
+ * @property {string | null} template Template of the best contents, may be used with `generateContent`;
+ * null if headings are found by layout and cannot be described by a template
+ * @property {string[]} templates Templates joined by `|` in `template`, more than one if headings change their format
+ * partway through the book
+ * @property {number} beauty Beauty of the best contents, between 0 and 1
+ * @property {{ template: string | null; templates: string[]; beauty: number }[]} levels Template of each level, outermost first
+ * @property {Anomaly[]} anomalies Missing, duplicate and out-of-order headings found by their numbers
+ * @property {ContentsAlternative[]} [alternatives] Best candidates ranked by beauty, if requested; each finds different headings
+ * @property {string[]} [unmatchedHeadings] Positive lines of `headings` option not found in the contents, if any is given
+ */
+
+/**
+ * @typedef {ReturnType<typeof numberParserList[number]['extract']> & { cursor: number; title: string }} NumberMatchItem
+ */
+
+/**
+ * @typedef {object} ScannedArticle
+ * @property {{ chars: number; tokenCounts: Map<string, number> }} articleContext
+ * @property {Map<string, { title: string; cursor: number }[] | null>[]} numberMatching
+ * Lines contain numbers grouped by parser and text before number
+ * @property {Map<string, { title: string; cursor: number }[] | null>} prefixMatching
+ * Lines grouped by first token, null if too many lines share the token
+ * @property {Map<string, { title: string; cursor: number }[] | null>} layoutMatching
+ * Short lines grouped by layout signal (see `layoutSignals`), null if too many lines found
+ * @property {{ title: string; cursor: number; isolated: boolean }[]} specialMatching Lines start with special keywords,
+ * `isolated` if they are between blank lines
+ */
+
+// report progress after scanning this many characters
+const PROGRESS_INTERVAL = 1 << 20;
+// characters after which a group of a single line is dropped while scanning
+const PRUNE_DISTANCE = 1 << 20;
+// lines kept for numbers after the same text, times MAX_CONTENTS_LENGTH; more lines are mostly not headings
+const NUMBER_GROUP_RATIO = 4;
+// lines kept in all groups of number and prefix, times MAX_CONTENTS_LENGTH; smallest groups are dropped beyond it
+const SCAN_LINES_RATIO = 32;
+
+/**
+ * Headings usually not numbered, like prologues, epilogues and side stories
+ * @type {readonly string[]}
+ */
+const SPECIAL_KEYWORDS = Object.freeze([
+  '序章', '序幕', '序言', '序', '楔子', '引子', '引言', '前言', '尾声', '尾聲', '终章', '終章', '后记', '後記', '番外', '外传', '外傳', '完本感言', '附录', '附錄',
+  'Prologue', 'Epilogue', 'Preface', 'Foreword', 'Afterword', 'Interlude', 'Appendix',
+]);
+
+/**
+ * Regular expression matches lines start with any of given keywords.
+ * Latin keywords are also matched in upper case. Keywords should be followed by the line end, a space,
+ * a punctuation or a number like 番外一, but not `-` of words like Prologue-like.
+ * A keyword of a single character like 序 should be the whole line.
+ * @param {string[]} keywords
+ * @returns {RegExp}
+ */
+const specialRegex = function (keywords) {
+  const hanDigits = hanCharset3.key + hanCharset3.optional;
+  const alternatives = keywords.flatMap(keyword => {
+    const variants = /\p{L}$/u.test(keyword) && keyword !== keyword.toUpperCase() ? [keyword, keyword.toUpperCase()] : [keyword];
+    const boundary = [...keyword].length === 1 ? '\\s*$' :
+      /\p{Script=Latn}$/u.test(keyword) ? '(?=$|[\\s\\p{N}]|(?!-)[\\p{P}\\p{S}])' :
+        `(?=$|[\\s\\p{P}\\p{S}\\p{N}${hanDigits}])`;
+    return variants.map(variant => exactRegex(variant) + boundary);
+  });
+  return new RegExp(`^\\s*(?:${alternatives.join('|')})`, 'u');
+};
+
+// lines made of repeated symbols, like ＊＊＊ or ——————
+const separatorRegex = /^\s*([-—=＝*＊~～_·•◆◇○●☆★※#＃])(?:\s*\1){2,}\s*$/u;
+// titles never end with these
+const sentenceEndRegex = /[。！？…，、；：“”‘’「」『』.!?,;:"']$/u;
+const markdownRegex = /^(#{1,6})\s+\S/;
+
+/**
+ * How likely a short line is a heading, by what's around it
+ * `markdown`: Markdown ATX heading, grouped by its level as `markdown1` to `markdown6`
+ * `framed`: between two separator lines
+ * `centered`: with a lot of leading whitespaces
+ * `isolated`: between two blank lines
+ */
+const layoutSignals = { markdown: 1, framed: 1, centered: 0.8, isolated: 0.6 };
+
+/**
+ * Width of leading whitespaces of a line
+ * @param {string} line
+ * @returns {number}
+ */
+const indentWidth = function (line) {
+  let width = 0;
+  for (const ch of line) {
+    if (ch === ' ') width += 1;
+    else if (ch === '\t') width += 4;
+    else if (/\s/.test(ch)) width += 2;
+    else break;
+  }
+  return width;
+};
+
+/**
+ * Create a recognizer which accepts the article chunk by chunk.
+ * Only lines which may be headings and statistics of tokens are kept in memory.
+ * @param {RecognizeOptions} [options]
+ * @returns {{ push: (chunk: string) => void; end: () => RecognizeResult | null }}
+ */
+const createRecognizer = function (options = {}) {
+  const { size, onProgress, signal, specialKeywords = [] } = options;
+  const config = resolveConfig(options.preset, options.config);
+  const specialMatcher = specialRegex([...SPECIAL_KEYWORDS, ...specialKeywords]);
+  const { MAX_CONTENTS_LENGTH, MAX_TITLE_LENGTH, PREFIX_MIN_RATIO, LAYOUT_TITLE_LENGTH, LAYOUT_CENTER_INDENT } = config;
+  /** @type {ScannedArticle} */
+  const scanned = {
+    articleContext: { chars: 0, tokenCounts: new Map() },
+    numberMatching: numberParserList.map(_ => new Map()),
+    prefixMatching: new Map(),
+    layoutMatching: new Map(),
+    specialMatching: [],
+  };
+  const { articleContext, numberMatching, prefixMatching, layoutMatching, specialMatching } = scanned;
+  const prefixLimit = MAX_CONTENTS_LENGTH / PREFIX_MIN_RATIO;
+  // Lines sharing text before their numbers, most of them should be headings with different numbers
+  const numberLimit = MAX_CONTENTS_LENGTH * NUMBER_GROUP_RATIO;
+  const linesLimit = MAX_CONTENTS_LENGTH * SCAN_LINES_RATIO;
+  let cursor = 0, pending = '', reported = 0;
+  // Layout of a line is known only after the next line is scanned
+  /** @type {{ line: string; cursor: number; before: 'blank' | 'separator' | 'text' } | null} */
+  let previous = null;
+  let lastKind = /** @type {'blank' | 'separator' | 'text'} */('blank');
+  // Same for blank lines around a special heading
+  /** @type {{ item: ScannedArticle['specialMatching'][number]; before: 'blank' | 'separator' | 'text' } | null} */
+  let lastSpecial = null;
+
+  const addLayout = function (/** @type {string} */signal, /** @type {string} */line, /** @type {number} */cursor) {
+    const matches = layoutMatching.get(signal);
+    if (matches === undefined) layoutMatching.set(signal, [{ title: line, cursor }]);
+    else if (matches && matches.length + 1 > MAX_CONTENTS_LENGTH) layoutMatching.set(signal, null);
+    else if (matches) matches.push({ title: line, cursor });
+  };
+  const scanLayout = function (/** @type {'blank' | 'separator' | 'text'} */after) {
+    if (!previous) return;
+    const { line, cursor, before } = previous, title = line.trim();
+    previous = null;
+    if (title.length > LAYOUT_TITLE_LENGTH || sentenceEndRegex.test(title)) return;
+    if (before === 'separator' && after === 'separator') addLayout('framed', line, cursor);
+    else if (indentWidth(line) >= LAYOUT_CENTER_INDENT) addLayout('centered', line, cursor);
+    else if (before === 'blank' && after === 'blank') addLayout('isolated', line, cursor);
+  };
+
+  // Groups of a single line far behind would hardly grow into contents, drop them to bound memory
+  const pruneGroups = function () {
+    const before = cursor - PRUNE_DISTANCE;
+    /** @type {{ groups: Map<string, unknown[] | null>; key: string; size: number }[]} */
+    const kept = [];
+    [...numberMatching, prefixMatching].forEach(groups => groups.forEach((lines, key) => {
+      if (!lines) return;
+      if (lines.length === 1 && lines[0].cursor < before) groups.delete(key);
+      else kept.push({ groups, key, size: lines.length });
+    }));
+    // Prose sharing few beginnings, like random lines, still fills groups as the article grows
+    let total = kept.reduce((sum, { size }) => sum + size, 0);
+    if (total <= linesLimit) return;
+    kept.sort((a, b) => a.size - b.size);
+    for (const { groups, key, size } of kept) {
+      if (total <= linesLimit / 2) break;
+      groups.delete(key);
+      total -= size;
+    }
+  };
+  const report = function (/** @type {'scan' | 'score'} */phase) {
+    if (onProgress) onProgress({ phase, processed: size == null ? cursor : Math.min(cursor, size), total: size });
+  };
+  const scanSpecial = function (/** @type {'blank' | 'separator' | 'text'} */after) {
+    if (!lastSpecial) return;
+    lastSpecial.item.isolated = lastSpecial.before === 'blank' && after === 'blank';
+    lastSpecial = null;
+  };
+  const scanLine = function (/** @type {string} */line) {
+    const kind = !line.trim() ? 'blank' : separatorRegex.test(line) ? 'separator' : 'text';
+    scanLayout(kind);
+    scanSpecial(kind);
+    if (kind === 'text') {
+      const markdown = line.match(markdownRegex);
+      if (markdown) addLayout(`markdown${markdown[1].length}`, line, cursor);
+      else previous = { line, cursor, before: lastKind };
+    }
+    if (specialMatcher.test(line)) {
+      const title = line.trim();
+      if (title.length <= LAYOUT_TITLE_LENGTH && !sentenceEndRegex.test(title) && specialMatching.length < MAX_CONTENTS_LENGTH) {
+        const item = { title: line, cursor, isolated: false };
+        specialMatching.push(item);
+        lastSpecial = { item, before: lastKind };
+      }
+    }
+    lastKind = kind;
     const tokens = line.trim().match(tokenRegex), firstToken = tokens && tokens[0];
-    const lineContext = { line, tokens, numbers: [] };
-    articleContext.lines.push(lineContext);
     if (tokens?.length) {
       [...new Set(tokens)].forEach(token => {
         articleContext.tokenCounts.set(token, (articleContext.tokenCounts.get(token) ?? 0) + 1);
       });
       if (firstToken) {
-        if (!prefixMatching.has(firstToken)) prefixMatching.set(firstToken, []);
-        prefixMatching.get(firstToken).push({ title: line, cursor, context: lineContext });
+        const matches = prefixMatching.get(firstToken);
+        // Lines are dropped once there are too many of them, as the prefix would never be used
+        if (matches === undefined) prefixMatching.set(firstToken, [{ title: line, cursor }]);
+        else if (matches && matches.length + 1 > prefixLimit) prefixMatching.set(firstToken, null);
+        else if (matches) matches.push({ title: line, cursor });
       }
     }
-    if (line.length < MAX_TITLE_LENGTH) {
+    if (line.length < MAX_TITLE_LENGTH && numberCharsRegex.test(line)) {
       numberParserList.forEach((parser, index) => {
         const matched = parser.extract(line);
         if (matched) {
-          lineContext.numbers.push(matched.number);
           const context = numberMatching[index];
-          const prefix = matched.prefix.trimStart();
-          if (!context.has(prefix)) context.set(prefix, []);
-          context.get(prefix).push({ ...matched, cursor, title: line });
-        } else {
-          lineContext.numbers.push(null);
+          const prefix = matched.prefix.trimStart(), matches = context.get(prefix);
+          // Same as prefixMatching, like lines of prose starting with 一
+          if (matches === undefined) context.set(prefix, [{ title: line, cursor }]);
+          else if (matches && matches.length + 1 > numberLimit) context.set(prefix, null);
+          else if (matches) matches.push({ title: line, cursor });
         }
       });
     }
     cursor += line.length + 1;
-  });
-  articleContext.chars = cursor;
+    if (cursor - reported >= PROGRESS_INTERVAL) {
+      reported = cursor;
+      throwIfAborted(signal);
+      pruneGroups();
+      report('scan');
+    }
+  };
+
+  return {
+    push(chunk) {
+      throwIfAborted(signal);
+      const text = pending + chunk;
+      let start = 0;
+      for (let end; (end = text.indexOf('\n', start)) !== -1; start = end + 1) {
+        // A slice may keep the whole chunk in memory while the line is kept in groups, copy it instead
+        scanLine((' ' + text.slice(start, end)).slice(1));
+      }
+      pending = text.slice(start);
+    },
+    end() {
+      scanLine(pending);
+      scanLayout('blank');
+      scanSpecial('blank');
+      pending = '';
+      articleContext.chars = cursor;
+      throwIfAborted(signal);
+      report('score');
+      return chooseContents(scanned, config, options);
+    },
+  };
+};
+
+/**
+ * Guess contents of the article
+ * @param {string} article Text of the book, lines should be separated by `\n`
+ * @param {RecognizeOptions} [options]
+ * @returns {RecognizeResult | null} null if no contents found
+ */
+const recognizeContents = function (article, options = {}) {
+  const recognizer = createRecognizer({ size: article.length, ...options });
+  recognizer.push(article);
+  return recognizer.end();
+};
+
+/**
+ * Score candidate templates found while scanning the article, and choose the best ones
+ * @param {ScannedArticle} scanned
+ * @param {typeof DEFAULT_CONFIG} config
+ * @param {RecognizeOptions} options
+ * @returns {RecognizeResult | null}
+ */
+const chooseContents = function ({ articleContext, numberMatching, prefixMatching, layoutMatching, specialMatching }, config, { multiLevel = true, alternatives = 0, explain = null, headings = null, signal }) {
+  const {
+    MAX_CONTENTS_LENGTH, MIN_CONTENTS, MAX_TITLE_LENGTH, FACTOR_TEXT_PREFIX, KEYWORD_UNIQUE_FACTOR,
+    BEAUTY_MIN_1, PREFIX_MIN_RATIO, TEMPLATE_COUNT_1, BEAUTY_MIN_2, MERGE_NUMBER_GAP, MERGE_OVERLAP_RATIO, FACTOR_NUMBER_INVALID,
+  } = config;
+  const wanted = (headings?.positive ?? []).map(line => line.trim()), negative = (headings?.negative ?? []).map(line => line.trim());
+  // Positive lines missing from the article, or too unlike headings to be kept while scanning, cannot be found by any template
+  /** @type {Set<string>} */
+  const scannedLines = new Set();
+  if (wanted.length) {
+    const keep = (/** @type {{ title: string }} */item) => wanted.includes(item.title.trim()) && scannedLines.add(item.title.trim());
+    numberMatching.forEach(byPrefix => byPrefix.forEach(matches => matches && matches.forEach(keep)));
+    prefixMatching.forEach(matches => matches && matches.forEach(keep));
+    layoutMatching.forEach(lines => lines && lines.forEach(keep));
+  }
+  const positive = wanted.filter(line => scannedLines.has(line));
+  const guided = positive.length > 0 || negative.length > 0;
+  /**
+   * Count positive lines matched by the template, -1 if it matches any negative line
+   * @param {string | null} template
+   * @param {{ title: string }[]} [lines] Headings found by layout, which are not matched by template
+   * @returns {number}
+   */
+  const guidanceOf = function (template, lines) {
+    if (!guided) return 0;
+    const regex = lines ? null : parseContentTemplate(template);
+    const matches = (/** @type {string} */line) => regex ? regex.test(line) : lines.some(item => item.title === line);
+    if (negative.some(matches)) return -1;
+    return positive.filter(matches).length;
+  };
+  /** @type {({ pattern: string; key: string; priority: number; beauty: number; count: number; guidance: number; factors?: Record<string, number> } & ({ type: 'number'; parser: typeof numberParserList[number]; prefix: string; parts?: { parser: typeof numberParserList[number]; prefix: string }[]; templates?: string[] } | { type: 'prefix', prefixBeauty: number } | { type: 'layout'; layoutBeauty: number; lines: { title: string; cursor: number }[] }))[]} */
+  const patterns = [];
+  /**
+   * Record a candidate template, and why it is rejected, if `explain` option is given
+   * @param {Omit<ExplainItem, 'factors'> & { factors?: Record<string, number> }} item
+   */
+  // Lines of a group are tried with each shared suffix, which often gives the same template again
+  /** @type {Set<string>} */
+  const rejectedTemplates = new Set();
+  const explainPattern = function ({ template, type, priority, count, stage, beauty, factors, rejectedBy }) {
+    /** @type {ExplainItem} */
+    const explained = { template, type, priority, count, stage, beauty, factors: { ...factors }, rejectedBy };
+    if (stage === 1 && rejectedBy) {
+      if (rejectedTemplates.has(template)) return explained;
+      rejectedTemplates.add(template);
+    }
+    if (explain) explain.push(explained);
+    return explained;
+  };
+  /**
+   * Templates of headings with a number, suffix shared by all of them is kept
+   * @param {typeof numberParserList[number]} parser
+   * @param {string} prefix
+   * @param {NumberMatchItem[]} matches
+   */
+  const numberTemplates = function (parser, prefix, matches) {
+    let lcp = '', lcps = 0;
+    while (matches.every(m => m.suffix[lcps] && m.suffix[lcps] === matches[0].suffix[lcps])) lcp += matches[0].suffix[lcps++];
+    return {
+      key: JSON.stringify([parser.index, prefix, lcp]),
+      typedTemplate: escapeTemplate(prefix) + `{${parser.group}}` + escapeTemplate(lcp),
+      looseTemplate: escapeTemplate(prefix) + '*' + escapeTemplate(lcp),
+    };
+  };
+  // Factor `invalidNumbers` when at most MERGE_OVERLAP_RATIO of numbers are out of order
+  const orderedMin = (1 / FACTOR_NUMBER_INVALID) ** (1 / (1 - MERGE_OVERLAP_RATIO) - 1);
+  /** @type {{ parser: typeof numberParserList[number]; prefix: string; matches: NumberMatchItem[] }[]} */
+  const runs = [];
+  const runKeys = new Set();
   /**
    * 
    * @param {typeof numberParserList[number]} parser
@@ -332,51 +1303,168 @@ const recognizeContents = function (article, articleContext = {}) {
    * @param {NumberMatchItem[]} matches
    */
   const commitNumberPattern = function (parser, { prefix, suffix }, matches) {
-    const beauty1 = contentsBeautyByNumber(matches);
-    if (beauty1 < BEAUTY_MIN_1) return;
-    const beauty2 = contentsBeautyBySize(matches, articleContext) * contentsBeautyByTitle(matches);
-    if (beauty1 * beauty2 < BEAUTY_MIN_1) return;
-    let lcp = '', lcps = 0;
-    while (matches.every(m => m.suffix[lcps] && m.suffix[lcps] === matches[0].suffix[lcps])) lcp += matches[0].suffix[lcps++];
-    const key = JSON.stringify([parser.index, prefix, lcp]);
-    const infixCollection = matches.map(m => m.infix), infixSet = new Set(infixCollection.join(''));
-    const charset = parser.charset.key + parser.charset.optional.replace(/./g, ch => infixSet.has(ch) ? ch : '');
-    const pattern = !['/', '*'].some(ch => (prefix + suffix).includes(ch)) ?
-      `${prefix}*${lcp}`.replace(/\s+/g, ' ') : `/${exactRegex(prefix)}.*${exactRegex(lcp)}/u`;
-    patterns.push({ pattern, key, priority: parser.priority * 10, type: 'number', parser, beauty: beauty1 * beauty2 });
-    const charsetPattern = ([...new Set(charset)].sort()
-      .map(ch => ch.charCodeAt())
-      .map((ch, i, chs) => ch - 1 === chs[i - 1] && ch + 1 === chs[i + 1] ? null : ch)
-      .reduce((p, ch, i, chs) => p + (ch == null ? chs[i - 1] != null ? '-' : '' : exactRegex(String.fromCharCode(ch))), ''))
-    const regexPattern = `/^\\s*${exactRegex(prefix)}[${charsetPattern}]+${exactRegex(lcp)}/`;
-    patterns.push({ pattern: regexPattern, key, priority: parser.priority * 10 + 1, type: 'number', parser, beauty: beauty1 * beauty2 });
+    const flatFactors = {}, restartFactors = explain && {};
+    const flatBeauty = contentsBeautyByNumber(matches, [], config, flatFactors);
+    const restartBeauty = contentsBeautyByNumber(matches, restartBreaks(matches), config, restartFactors);
+    const beauty1 = Math.max(flatBeauty, restartBeauty);
+    const factors = explain && (restartBeauty > flatBeauty ? restartFactors : flatFactors);
+    const beauty2 = beauty1 < BEAUTY_MIN_1 ? 1 :
+      contentsBeautyBySize(matches, articleContext, config, factors) * contentsBeautyByTitle(matches, config, factors);
+    const rejected = beauty1 * beauty2 < BEAUTY_MIN_1;
+    // Rejected ones may still cover a part of the book in another format, see `mergeNumberPatterns`.
+    // Same lines are committed again for each longer suffix, and a repeated line keeps its number.
+    const runKey = [parser.index, prefix, matches.length, matches[0].cursor, matches[matches.length - 1].cursor].join();
+    if (flatFactors.invalidNumbers >= orderedMin && !runKeys.has(runKey) &&
+      new Set(matches.map(match => match.number)).size >= MIN_CONTENTS) {
+      runKeys.add(runKey);
+      runs.push({ parser, prefix, matches });
+    }
+    if (rejected && !explain && !guided) return;
+    const { key, typedTemplate, looseTemplate } = numberTemplates(parser, prefix, matches);
+    [typedTemplate, looseTemplate].forEach((pattern, index) => {
+      const priority = parser.priority * 10 + index, count = matches.length, beauty = beauty1 * beauty2;
+      const guidance = guidanceOf(pattern);
+      if (guidance < 0) {
+        explainPattern({ template: pattern, type: 'number', priority, count, stage: 1, beauty, factors, rejectedBy: 'headings' });
+      } else if (rejected && !guidance) {
+        explainPattern({ template: pattern, type: 'number', priority, count, stage: 1, beauty, factors, rejectedBy: 'BEAUTY_MIN_1' });
+      } else {
+        patterns.push({ pattern, key, priority, type: 'number', parser, prefix, beauty, count, guidance, factors });
+      }
+    });
   };
 
-  numberMatching.forEach((byPrefix, patternIndex) => {
-    const parser = numberParserList[patternIndex];
-    [...byPrefix.entries()].forEach(([prefix, matches]) => {
-      if (matches.length < 3) return;
-      commitNumberPattern(parser, { prefix, suffix: '' }, matches);
-      /** @type {Map<string, typeof group>} */
-      const bySuffix = new Map();
-      matches.forEach(match => {
-        const tokens = match.suffix.match(tokenRegex);
-        if (!tokens || !tokens.length) return;
-        let suffix = '';
-        tokens.forEach(token => {
-          suffix += token;
-          if (!bySuffix.has(suffix)) bySuffix.set(suffix, []);
-          bySuffix.get(suffix).push(match);
-        });
+  /**
+   * Headings may change their format partway through, like 第1章 followed by 第一百零一章,
+   * or Chapter 12: followed by 13. Candidates covering consecutive stretches of the book,
+   * which continue numbers of each other, are merged into one.
+   */
+  const mergeNumberPatterns = function () {
+    const seen = new Set();
+    const ordered = runs.map(run => ({ ...run, ...numberTemplates(run.parser, run.prefix, run.matches) }))
+      .filter(run => !seen.has(run.typedTemplate) && seen.add(run.typedTemplate))
+      .map(run => ({ ...run, template: run.typedTemplate, first: run.matches[0].cursor, last: run.matches[run.matches.length - 1].cursor }))
+      .sort((a, b) => a.first - b.first);
+    /**
+     * Number of matches before the cursor
+     * @param {NumberMatchItem[]} matches
+     * @param {number} cursor
+     */
+    const countBefore = function (matches, cursor) {
+      let l = 0, h = matches.length;
+      while (l < h) {
+        const m = (l + h) >> 1;
+        if (matches[m].cursor < cursor) l = m + 1; else h = m;
+      }
+      return l;
+    };
+    /**
+     * If `b` mostly starts after `a` ends, and its first number follows the last one of `a`
+     * @returns {boolean}
+     */
+    const continues = function (/** @type {typeof ordered[number]} */a, /** @type {typeof ordered[number]} */b) {
+      if (b.first <= a.first) return false;
+      // Matches of `a` before `b` starts, and of `b` before `a` ends
+      const before = countBefore(a.matches, b.first), overlap = countBefore(b.matches, a.last + 1);
+      const mixed = a.matches.length - before + overlap;
+      if (!before || overlap === b.matches.length || mixed > Math.min(a.matches.length, b.matches.length) * MERGE_OVERLAP_RATIO) return false;
+      const gap = b.matches[overlap].number - a.matches[before - 1].number;
+      return gap >= 1 && gap <= 1 + MERGE_NUMBER_GAP;
+    };
+    const next = new Map(ordered.map(a => [a, ordered.filter(b => continues(a, b))
+      .reduce((x, y) => x == null || y.matches.length > x.matches.length ? y : x, null)]));
+    const followers = new Set(next.values());
+    ordered.filter(run => next.get(run) && !followers.has(run)).forEach(run => {
+      const chain = [run];
+      while (next.get(chain[chain.length - 1]) && !chain.includes(next.get(chain[chain.length - 1]))) chain.push(next.get(chain[chain.length - 1]));
+      /** @type {NumberMatchItem[]} */
+      const matches = [...new Map(chain.flatMap(run => run.matches).map(match => [match.cursor, match])).values()]
+        .sort((a, b) => a.cursor - b.cursor);
+      const factors = explain && {};
+      const beauty = contentsBeautyByNumber(matches, [], config, factors) *
+        contentsBeautyBySize(matches, articleContext, config, factors) * contentsBeautyByTitle(matches, config, factors);
+      const templates = chain.map(run => run.template), pattern = templates.join('|'), count = matches.length;
+      const priority = Math.max(...chain.map(run => run.parser.priority)) * 10 + 2, guidance = guidanceOf(pattern);
+      if (guidance < 0) {
+        explainPattern({ template: pattern, type: 'number', priority, count, stage: 1, beauty, factors, rejectedBy: 'headings' });
+      } else if (beauty < BEAUTY_MIN_1 && !guidance) {
+        explainPattern({ template: pattern, type: 'number', priority, count, stage: 1, beauty, factors, rejectedBy: 'BEAUTY_MIN_1' });
+      } else {
+        const parts = chain.map(({ parser, prefix }) => ({ parser, prefix }));
+        const key = JSON.stringify(chain.map(run => run.key));
+        patterns.push({ pattern, key, priority, type: 'number', parser: run.parser, prefix: run.prefix, parts, templates, beauty, count, guidance, factors });
+      }
+    });
+  };
+
+  // Lines without different numbers, like a repeated line, are never numbered headings
+  const numbered = (/** @type {NumberMatchItem[]} */matches) => new Set(matches.map(match => match.number)).size >= MIN_CONTENTS;
+  /**
+   * Commit templates of lines with numbers after the same prefix, and of those sharing leading tokens of suffix
+   * @param {typeof numberParserList[number]} parser
+   * @param {string} prefix
+   * @param {NumberMatchItem[]} matches
+   */
+  const commitNumberGroup = function (parser, prefix, matches) {
+    if (!numbered(matches)) {
+      // The number belongs to the label, like 一 in 卷一 第十二章, try the next number instead
+      /** @type {Map<string, NumberMatchItem[]>} */
+      const byNext = new Map();
+      matches.forEach(({ title, cursor, prefix, infix }) => {
+        const next = parser.extract(title, prefix.length + infix.length);
+        if (!next) return;
+        const nextPrefix = next.prefix.trimStart();
+        if (!byNext.has(nextPrefix)) byNext.set(nextPrefix, []);
+        byNext.get(nextPrefix).push({ ...next, cursor, title });
       });
-      [...bySuffix.entries()].forEach(([suffix, matches]) => {
-        if (matches.length < MIN_CONTENTS) return;
-        commitNumberPattern(parser, { prefix, suffix }, matches);
+      byNext.forEach((matches, nextPrefix) => {
+        if (numbered(matches)) commitNumberGroup(parser, nextPrefix, matches);
       });
+      return;
+    }
+    commitNumberPattern(parser, { prefix, suffix: '' }, matches);
+    // Group matches by leading tokens of suffix. Groups with too few matches are not extended
+    // as they would never grow. Groups are committed in order of their first match, then shorter first.
+    /** @type {{ suffix: string; matches: NumberMatchItem[]; first: number; depth: number }[]} */
+    const bySuffix = [];
+    const items = matches.map((match, index) => ({ match, index, position: 0 }));
+    (function groupSuffix(suffix, items, depth) {
+      /** @type {Map<string, typeof items>} */
+      const byToken = new Map();
+      items.forEach(item => {
+        if (item.position >= item.match.suffix.length) return;
+        tokenRegex.lastIndex = item.position;
+        const [token] = tokenRegex.exec(item.match.suffix);
+        item.position += token.length;
+        if (!byToken.has(token)) byToken.set(token, []);
+        byToken.get(token).push(item);
+      });
+      byToken.forEach((items, token) => {
+        if (items.length < MIN_CONTENTS) return;
+        const matches = items.map(item => item.match);
+        if (!numbered(matches)) return;
+        bySuffix.push({ suffix: suffix + token, matches, first: items[0].index, depth });
+        groupSuffix(suffix + token, items, depth + 1);
+      });
+    }('', items, 0));
+    bySuffix.sort((a, b) => a.first - b.first || a.depth - b.depth).forEach(({ suffix, matches }) => {
+      commitNumberPattern(parser, { prefix, suffix }, matches);
+    });
+  };
+  numberMatching.forEach((byPrefix, patternIndex) => {
+    throwIfAborted(signal);
+    const parser = numberParserList[patternIndex];
+    [...byPrefix.entries()].forEach(([prefix, lines]) => {
+      if (!lines || lines.length < 3) return;
+      // Only lines are kept while scanning, parse them again when needed
+      /** @type {NumberMatchItem[]} */
+      const matches = lines.map(({ title, cursor }) => ({ ...parser.extract(title), cursor, title }));
+      commitNumberGroup(parser, prefix, matches);
     });
   });
   [...prefixMatching.entries()].forEach(([prefix, matches]) => {
-    if (matches.length > MAX_CONTENTS_LENGTH / PREFIX_MIN_RATIO) return;
+    throwIfAborted(signal);
+    if (!matches || matches.length > MAX_CONTENTS_LENGTH / PREFIX_MIN_RATIO) return;
     const totalLines = articleContext.tokenCounts.get(prefix) * FACTOR_TEXT_PREFIX ** /\p{L}/u.test(prefix[0]);
     const matchLines = matches.length;
     if (matchLines < MIN_CONTENTS) return;
@@ -419,29 +1507,73 @@ const recognizeContents = function (article, articleContext = {}) {
         const prefix = prefixTokens.join(''), suffix = token + lcp;
         const selected = matches.filter(match => match.title.includes(suffix));
         if (selected.length < sublines.length) {
-          process.exit(-1);
+          throw new RecognitionError(`Lines with prefix "${prefix}" lost suffix "${suffix}"`, 'PREFIX_MISMATCH');
         }
         const beauty1 = (sublines.length / totalLines) ** (KEYWORD_UNIQUE_FACTOR / 10);
-        const beauty2 = contentsBeautyByTitle(selected) * contentsBeautyBySize(selected, articleContext);
-        if (beauty1 * beauty2 < BEAUTY_MIN_1) return;
-        const pattern = !['/', '*'].some(ch => (prefix + suffix).includes(ch)) ?
-          `${prefix}*${suffix}` : `/^\s*${exactRegex(prefix)}.*${exactRegex(suffix)}/u`;
-        const key = JSON.stringify([null, prefix, suffix]);
-        patterns.push({ pattern, key, priority: 10, type: 'prefix', beauty: beauty1 * beauty2, prefixBeauty: beauty1 });
+        const factors = explain && { prefixUniqueness: beauty1 };
+        const beauty2 = contentsBeautyByTitle(selected, config, factors) * contentsBeautyBySize(selected, articleContext, config, factors);
+        const rejected = beauty1 * beauty2 < BEAUTY_MIN_1;
+        if (rejected && !explain && !guided) return;
+        const pattern = escapeTemplate(prefix) + '*' + escapeTemplate(suffix);
+        const key = JSON.stringify([null, prefix, suffix]), count = selected.length, beauty = beauty1 * beauty2;
+        const guidance = guidanceOf(pattern);
+        if (guidance < 0) {
+          explainPattern({ template: pattern, type: 'prefix', priority: 10, count, stage: 1, beauty, factors, rejectedBy: 'headings' });
+        } else if (rejected && !guidance) {
+          explainPattern({ template: pattern, type: 'prefix', priority: 10, count, stage: 1, beauty, factors, rejectedBy: 'BEAUTY_MIN_1' });
+        } else {
+          patterns.push({ pattern, key, priority: 10, type: 'prefix', beauty, prefixBeauty: beauty1, count, guidance, factors });
+        }
       });
-    }([prefix], matches.map(match => ({ match, tokens: match.context.tokens }))));
+    }([prefix], matches.map(match => ({ match, tokens: match.title.trim().match(tokenRegex) }))));
+  });
+  mergeNumberPatterns();
+  layoutMatching.forEach((lines, layout) => {
+    if (!lines || lines.length < MIN_CONTENTS) return;
+    const layoutBeauty = layoutSignals[layout.replace(/\d+$/, '')];
+    const selected = lines.map(({ title, cursor }) => ({ title: title.trim(), cursor }));
+    const factors = explain && { layout: layoutBeauty };
+    const beauty2 = contentsBeautyByTitle(selected, config, factors) * contentsBeautyBySize(selected, articleContext, config, factors);
+    // Only Markdown headings may be found again by a template
+    const markdown = layout.match(/^markdown(\d)$/);
+    const pattern = markdown ? `/^#{${markdown[1]}}\\s/` : null;
+    const count = selected.length, beauty = layoutBeauty * beauty2, guidance = guidanceOf(pattern, selected);
+    if (guidance < 0) {
+      explainPattern({ template: pattern, type: 'layout', priority: 30, count, stage: 1, beauty, factors, rejectedBy: 'headings' });
+    } else if (beauty < BEAUTY_MIN_1 && !guidance) {
+      explainPattern({ template: pattern, type: 'layout', priority: 30, count, stage: 1, beauty, factors, rejectedBy: 'BEAUTY_MIN_1' });
+    } else {
+      patterns.push({ pattern, key: layout, priority: 30, type: 'layout', beauty, layoutBeauty, lines: selected, count, guidance, factors });
+    }
   });
-  const seen = new Set(), dedupe = patterns.filter(pattern => seen.has(pattern.pattern) ? false : seen.add(pattern.pattern));
-  const numberPatterns = dedupe.filter(p => p.type === 'number').sort((x, y) => y.beauty - x.beauty).slice(0, TEMPLATE_COUNT_1);
-  const prefixPatterns = dedupe.filter(p => p.type === 'prefix').sort((x, y) => y.beauty - x.beauty).slice(0, TEMPLATE_COUNT_1);
-  const chosenPatterns = [...numberPatterns, ...prefixPatterns];
-  const regexen = chosenPatterns.map(x => parseContentTemplate(x.pattern));
-  const contents = regexen.map(x => []);
-  cursor = 0;
-  article.split('\n').forEach(line => {
+  // Templates matching all positive lines of `headings` come first, or those matching the most if none matches all;
+  // matching only some of them is not better than a beautiful template, like volumes when chapters are given
+  const mostGuidance = patterns.reduce((most, pattern) => Math.max(most, pattern.guidance), 0);
+  const guidedBest = (/** @type {{ guidance: number }} */x) => mostGuidance > 0 && x.guidance === mostGuidance ? 1 : 0;
+  const byGuidance = (x, y) => guidedBest(y) - guidedBest(x) || y.beauty - x.beauty;
+  const seen = new Set(), dedupe = patterns.filter(pattern => seen.has(pattern.pattern ?? pattern.key) ? false : seen.add(pattern.pattern ?? pattern.key));
+  const numberPatterns = dedupe.filter(p => p.type === 'number').sort(byGuidance).slice(0, TEMPLATE_COUNT_1);
+  const prefixPatterns = dedupe.filter(p => p.type === 'prefix').sort(byGuidance).slice(0, TEMPLATE_COUNT_1);
+  const layoutPatterns = dedupe.filter(p => p.type === 'layout').sort(byGuidance).slice(0, TEMPLATE_COUNT_1);
+  const chosenPatterns = [...numberPatterns, ...prefixPatterns, ...layoutPatterns];
+  if (explain) {
+    dedupe.filter(pattern => !chosenPatterns.includes(pattern)).forEach(({ pattern, type, priority, count, beauty, factors }) => {
+      explainPattern({ template: pattern, type, priority, count, stage: 1, beauty, factors, rejectedBy: 'TEMPLATE_COUNT_1' });
+    });
+  }
+  // Headings found by layout are already known, and not matched again
+  const regexen = chosenPatterns.map(x => x.type === 'layout' ? null : parseContentTemplate(x.pattern));
+  const contents = chosenPatterns.map(x => x.type === 'layout' ? x.lines : []);
+  // Headings may only be found from lines kept while scanning
+  /** @type {Map<number, string>} */
+  const candidates = new Map();
+  numberMatching.forEach(byPrefix => byPrefix.forEach(matches => matches && matches.forEach(({ cursor, title }) => candidates.set(cursor, title))));
+  prefixMatching.forEach(matches => matches && matches.forEach(({ cursor, title }) => candidates.set(cursor, title)));
+  [...candidates.keys()].sort((a, b) => a - b).forEach(cursor => {
+    const line = candidates.get(cursor);
     if (line.length <= MAX_TITLE_LENGTH) {
       regexen.forEach((matchReg, index) => {
-        if (matchReg.test(line)) {
+        if (matchReg && matchReg.test(line)) {
           contents[index].push({
             title: line.trim(),
             cursor,
@@ -449,90 +1581,601 @@ const recognizeContents = function (article, articleContext = {}) {
         }
       });
     }
-    cursor += line.length + 1;
   });
+  /**
+   * Headings may switch to another numeral system, like 第九百九十九章 followed by 第1000章
+   * @param {typeof patterns[number] & { type: 'number' }} pattern
+   * @param {string} title
+   * @returns {number | undefined}
+   */
+  const numberOf = function (pattern, title) {
+    const parts = pattern.parts ?? [pattern];
+    for (const parser of [...parts.map(part => part.parser), ...numberParserList]) {
+      // Number should follow the prefix, not digits like 0 inside 第1011章 read by another parser
+      const matched = parts.map(part => extractAfter(parser, title, part.prefix)).find(matched => matched);
+      if (matched) return matched.number;
+    }
+    return undefined;
+  };
+  throwIfAborted(signal);
   const contentsWithBeauty = contents.map((content, index) => {
     const pattern = chosenPatterns[index];
-    const beauty1 = contentsBeautyBySize(content, articleContext) * contentsBeautyByTitle(content);
-    const beauty2 = pattern.type === 'number' ? contentsBeautyByNumber(content.map(line => ({ number: pattern.parser.extract(line.title)?.number }))) : pattern.prefixBeauty;
-    return { content, beauty: beauty1 * beauty2, priority: pattern.priority, pattern };
+    const numbers = pattern.type === 'number' ? content.map(line => ({ cursor: line.cursor, number: numberOf(pattern, line.title) })) : null;
+    const factors = explain && (pattern.type === 'prefix' ? { prefixUniqueness: pattern.prefixBeauty } : pattern.type === 'layout' ? { layout: pattern.layoutBeauty } : {});
+    const beauty1 = contentsBeautyBySize(content, articleContext, config, factors) * contentsBeautyByTitle(content, config, factors);
+    // Numbers may restart in each volume even if volumes are not found, same as stage 1
+    const restartFactors = explain && { ...factors };
+    const flatBeauty = pattern.type === 'number' ? contentsBeautyByNumber(numbers, [], config, factors) : 0;
+    const restartBeauty = pattern.type === 'number' ? contentsBeautyByNumber(numbers, restartBreaks(numbers), config, restartFactors) : 0;
+    if (explain && restartBeauty > flatBeauty) Object.assign(factors, restartFactors);
+    const beauty2 = pattern.type === 'number' ? Math.max(flatBeauty, restartBeauty) :
+      pattern.type === 'prefix' ? pattern.prefixBeauty : pattern.layoutBeauty;
+    /** @param {number[]} breaks */
+    const nestedBeauty = breaks => pattern.type === 'number' ?
+      beauty1 * Math.max(beauty2, contentsBeautyByNumber(numbers, breaks, config)) : beauty1 * beauty2;
+    return { content, beauty: beauty1 * beauty2, priority: pattern.priority, pattern, nestedBeauty, factors, numbers, guidance: pattern.guidance };
   });
-  contentsWithBeauty.sort((a, b) => b.beauty - a.beauty || a.priority - b.priority);
+  contentsWithBeauty.sort((a, b) => guidedBest(b) - guidedBest(a) || b.beauty - a.beauty || a.priority - b.priority);
+  const explained = new Map(explain ? contentsWithBeauty.map(contents => {
+    const { content, beauty, priority, pattern, factors } = contents;
+    const rejectedBy = beauty < BEAUTY_MIN_2 && !guidedBest(contents) ? 'BEAUTY_MIN_2' : null;
+    return [contents, explainPattern({ template: pattern.pattern, type: pattern.type, priority, count: content.length, stage: 2, beauty, factors, rejectedBy })];
+  }) : []);
   const best = contentsWithBeauty[0];
-  if (!best || best.beauty < BEAUTY_MIN_2) return null;
-  return { content: best.content, template: best.pattern.pattern, beauty: best.beauty }
+  if (!best || best.beauty < BEAUTY_MIN_2 && !guidedBest(best)) return null;
+
+  // Volumes may contain chapters, and chapters may contain sections.
+  // Try to wrap selected levels with another contents, or nest another one into them.
+  const levels = [{ contents: best, beauty: best.beauty }];
+  const used = new Set(best.content.map(item => item.cursor));
+  // Positive lines found by selected levels, other levels are preferred if they find the rest
+  const foundPositive = new Set(best.content.map(item => item.title).filter(title => positive.includes(title)));
+  const unfoundOf = (/** @type {typeof contentsWithBeauty[number]} */contents) => guided ?
+    new Set(contents.content.map(item => item.title).filter(title => positive.includes(title) && !foundPositive.has(title))).size : 0;
+  /**
+   * A book may have too few volumes to be a candidate by themselves, like two volumes of 30 chapters.
+   * They are still a level if numbers of the chapters restart at 1 right after each of them.
+   * @param {typeof contentsWithBeauty[number]} child
+   * @returns {typeof contentsWithBeauty[number] | null}
+   */
+  const smallParentOf = function (child) {
+    if (!child.numbers) return null;
+    const restarts = restartBreaks(child.numbers);
+    if (!restarts.length) return null;
+    /** @type {typeof contentsWithBeauty[number] | null} */
+    let found = null;
+    numberMatching.forEach((byPrefix, parserIndex) => {
+      const parser = numberParserList[parserIndex];
+      byPrefix.forEach((lines, prefix) => {
+        if (!lines) return;
+        /** @type {Map<string, NumberMatchItem[]>} */
+        const byUnit = new Map();
+        lines.forEach(({ title, cursor }) => {
+          if (used.has(cursor) || title.length > MAX_TITLE_LENGTH) return;
+          const match = { ...parser.extract(title), cursor, title };
+          const unit = match.suffix.trimStart()[0] ?? '';
+          if (!byUnit.has(unit)) byUnit.set(unit, []);
+          byUnit.get(unit).push(match);
+        });
+        byUnit.forEach(matches => {
+          if (found || matches.length < 2 || matches.length >= MIN_CONTENTS) return;
+          if (matches.some((match, index) => index && match.number <= matches[index - 1].number)) return;
+          const content = matches.map(({ title, cursor }) => ({ title: title.trim(), cursor }));
+          if (!contentsNested(content, child.content, config)) return;
+          // Each restart of numbers should be led by one of these headings
+          const sections = splitSections(child.numbers, content.map(item => item.cursor)).slice(1);
+          if (!restarts.every(cursor => sections.some(section => section.length && section[0].cursor === cursor))) return;
+          const { key, typedTemplate } = numberTemplates(parser, prefix, matches);
+          const guidance = guidanceOf(typedTemplate);
+          if (guidance < 0) return;
+          const pattern = { pattern: typedTemplate, key, priority: parser.priority * 10, type: 'number', parser, prefix, beauty: child.beauty, count: content.length, guidance };
+          const numbers = matches.map(({ cursor, number }) => ({ cursor, number }));
+          found = { content, beauty: child.beauty, priority: pattern.priority, pattern, nestedBeauty: () => child.beauty, factors: explain && {}, numbers, guidance };
+        });
+      });
+    });
+    return found;
+  };
+  while (multiLevel) {
+    throwIfAborted(signal);
+    const top = levels[0], bottom = levels[levels.length - 1];
+    const nesting = contentsWithBeauty.filter(contents => contents.content.every(item => !used.has(item.cursor))).map(contents => {
+      if (contentsNested(contents.content, top.contents.content, config)) {
+        return { contents, beauty: contents.beauty, parent: true, unfound: unfoundOf(contents) };
+      } else if (contentsNested(bottom.contents.content, contents.content, config)) {
+        return { contents, beauty: contents.nestedBeauty(bottom.contents.content.map(item => item.cursor)), parent: false, unfound: unfoundOf(contents) };
+      }
+      return null;
+    }).filter(level => level && (level.beauty >= BEAUTY_MIN_2 || level.unfound > 0));
+    if (!nesting.length) {
+      const parent = smallParentOf(top.contents);
+      if (!parent) break;
+      nesting.push({ contents: parent, beauty: parent.beauty, parent: true, unfound: unfoundOf(parent) });
+    }
+    const level = nesting.reduce((x, y) => y.unfound > x.unfound || y.unfound === x.unfound && y.beauty > x.beauty ? y : x);
+    if (level.parent) levels.unshift(level); else levels.push(level);
+    level.contents.content.forEach(item => {
+      used.add(item.cursor);
+      if (positive.includes(item.title)) foundPositive.add(item.title);
+    });
+  }
+  levels.forEach(({ contents }, level) => {
+    if (explained.has(contents)) explained.get(contents).level = level;
+  });
+  // Special headings should look like other headings: between blank lines, or indented the same way
+  /** @type {Map<number, number>} */
+  const indents = new Map();
+  levels.forEach(({ contents }) => contents.content.forEach(item => {
+    const indent = indentWidth(candidates.get(item.cursor) ?? item.title);
+    indents.set(indent, (indents.get(indent) ?? 0) + 1);
+  }));
+  const headingIndent = [...indents.entries()].reduce((x, y) => y[1] > x[1] ? y : x)[0];
+  const specials = specialMatching.filter(item => !used.has(item.cursor) && !negative.includes(item.title.trim()) &&
+    (item.isolated || indentWidth(item.title) === headingIndent));
+  /** @type {(ContentsItem & TitleParts & { level: number | null })[]} */
+  const content = [
+    ...levels.flatMap(({ contents }, level) => contents.content.map(item => ({
+      ...item,
+      level,
+      // Only numbers found by the template are read, text of other headings is only cleaned
+      ...contents.pattern.type === 'number' ?
+        parseTitle(item.title, { prefix: contents.pattern.prefix, numeral: contents.pattern.parser.group }) :
+        parseTitle(item.title, { numbered: false }),
+    }))),
+    // Prologues, epilogues and side stories are not numbered, they use level of the heading before them
+    ...specials.map(item => ({
+      title: item.title.trim(),
+      cursor: item.cursor,
+      level: null,
+      special: true,
+      ...parseTitle(item.title.trim(), { numbered: false }),
+    })),
+  ].sort((a, b) => a.cursor - b.cursor);
+  const firstLevel = content.find(item => !item.special).level;
+  content.forEach((item, index) => {
+    if (item.level == null) item.level = index ? content[index - 1].level : firstLevel;
+  });
+  const templatesOf = (/** @type {typeof patterns[number]} */pattern) =>
+    pattern.type === 'number' && pattern.templates || (pattern.pattern != null ? [pattern.pattern] : []);
+  const result = {
+    content,
+    tree: contentsTree(content),
+    template: best.pattern.pattern,
+    templates: templatesOf(best.pattern),
+    beauty: best.beauty,
+    levels: levels.map(({ contents, beauty }) => ({ template: contents.pattern.pattern, templates: templatesOf(contents.pattern), beauty })),
+    anomalies: levels.flatMap(({ contents }, level) => contents.numbers ?
+      contentsAnomalies(contents.content, contents.numbers.map(item => item.number), level, config) : [])
+      .sort((a, b) => a.cursor - b.cursor),
+  };
+  if (wanted.length) {
+    result.unmatchedHeadings = wanted.filter(line => !content.some(item => item.title === line));
+  }
+  if (alternatives > 0) {
+    // Typed and loose templates like 第{han}章 and 第*章 often find the same headings, the typed one is ranked first
+    const seenContents = new Set();
+    result.alternatives = contentsWithBeauty.filter(({ content }) => {
+      const key = content.map(item => item.cursor).join();
+      return !seenContents.has(key) && seenContents.add(key);
+    }).slice(0, alternatives).map(({ content, beauty, priority, pattern }) => ({
+      template: pattern.pattern,
+      beauty,
+      priority,
+      type: pattern.type,
+      count: content.length,
+    }));
+  }
+  return result;
 }
 
 
 /**
- * @param {string} text
- * @returns {RegExp}
+ * Thrown when a template is invalid, unsafe to run, or runs out of time
+ */
+class TemplateError extends Error {
+  /**
+   * @param {string} message
+   * @param {TemplateIssue['code']} code
+   * @param {number | null} [position] Offset in the template where the problem is found
+   */
+  constructor(message, code, position = null) {
+    super(message);
+    this.name = 'TemplateError';
+    this.code = code;
+    this.position = position;
+  }
+}
+
+/**
+ * @typedef {object} TemplateIssue
+ * @property {'EMPTY_TEMPLATE' | 'INVALID_REGEX' | 'TRAILING_ESCAPE' | 'EMPTY_ALTERNATIVE' | 'EMPTY_EXCLUSION' |
+ * 'UNKNOWN_SLOT' | 'BASIC_SYNTAX' | 'UNSAFE_PATTERN' | 'NO_MATCH' | 'TOO_MANY_MATCHES' | 'TIMEOUT'} code
+ * @property {string} message
+ * @property {number | null} position Offset in the template where the problem is found, null if not about a position
+ */
+
+// Wildcards in one alternative of a template, lines not matching may take time of (line length) ** count
+const MAX_TEMPLATE_WILDCARDS = 2;
+// Default time budget of `generateContent`, in milliseconds; it is checked between lines,
+// so a line backtracking catastrophically still runs to its end, which is why unsafe templates are rejected
+const GENERATE_TIMEOUT = 10000;
+
+/**
+ * Template wrapped by `/` is a regular expression
+ * @param {string} template
+ * @returns {RegExp | null} null if the template is not a regular expression
+ * @throws {TemplateError} If the regular expression is invalid
  */
 const useRegExpForContent = function (template) {
-  if (/\/.*\/[a-zA-Z]*/.test(template)) {
-    const [_, reg, flags] = template.match(/\/(.*)\/(.*)/);
+  const match = template.match(/^\/(.*)\/([a-zA-Z]*)$/s);
+  if (match) {
+    const [_, reg, flags] = match;
     try {
       return new RegExp(reg, flags);
     } catch (e) {
-      return null;
+      throw new TemplateError(e.message, 'INVALID_REGEX', 1);
     }
   }
   return null;
 };
 
+// Typed number slots in templates, `{number}` accepts any of them
+const templateSlots = new Set(['number', ...numberParserList.map(parser => parser.group)]);
+
+/**
+ * Characters with special meaning in templates
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeTemplate = function (text) {
+  return text.replace(/[\\*?|!{}]/g, '\\$&').replace(/^\//, '\\/').replace(/\s+/g, ' ');
+};
+
+/**
+ * Syntax of a template. `basic` only has `*`, `?` and spaces, same as templates written before number slots
+ * are added, so `|` in `a|b` is text. `extended` has everything described in `compileContentTemplate`.
+ * `auto` is `extended` if the template has a number slot like `{han}` or an escape `\`, or `basic` otherwise.
+ * @typedef {'auto' | 'basic' | 'extended'} TemplateSyntax
+ */
+
+/**
+ * @param {string} template
+ * @param {TemplateSyntax} [syntax]
+ * @returns {boolean} If the template is written in the extended syntax
+ */
+const isExtendedTemplate = function (template, syntax = 'auto') {
+  if (syntax === 'auto') return /\\|\{\w+\}/.test(template);
+  if (syntax === 'basic' || syntax === 'extended') return syntax === 'extended';
+  throw new RangeError(`Unknown template syntax "${syntax}", expected one of: auto, basic, extended`);
+};
+
+/**
+ * Find parts of a regular expression likely to backtrack catastrophically, i.e. nested quantifiers like `(a+)+`,
+ * quantified alternations like `(a|a)+` or `(\w|\d)+`, and adjacent wildcards like `.*.*`
+ * @param {string} source
+ * @returns {number[]} Offsets of such parts in the source
+ */
+const backtrackingParts = function (source) {
+  const positions = [];
+  /** @type {{ start: number; quantified: boolean; alternation: boolean }[]} */
+  const groups = [];
+  const unbounded = /^(?:[*+]|\{\d+,\})/, quantifier = /^(?:[*+]|\{\d+,\d*\})/;
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === '\\') i++;
+    else if (inClass) inClass = c !== ']';
+    else if (c === '[') inClass = true;
+    else if (c === '(') groups.push({ start: i, quantified: false, alternation: false });
+    else if (c === '|' && groups.length) groups[groups.length - 1].alternation = true;
+    else if (c === ')' && groups.length) {
+      const group = groups.pop(), after = source.slice(i + 1);
+      // Branches may match the same text, so each repetition may try every branch
+      if ((group.quantified || group.alternation) && unbounded.test(after)) positions.push(group.start);
+      if (groups.length && (group.quantified || quantifier.test(after))) groups[groups.length - 1].quantified = true;
+    } else if (groups.length && quantifier.test(source.slice(i))) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  for (const match of source.matchAll(/\.[*+]\??(?:\\s[*+]\??)?\.[*+]/g)) positions.push(match.index);
+  return positions.sort((a, b) => a - b);
+};
+
+/**
+ * Check syntax of a template, see `compileContentTemplate` for the syntax
+ * @param {string} template
+ * @param {TemplateSyntax} [syntax]
+ * @returns {{ errors: TemplateIssue[]; warnings: TemplateIssue[] }}
+ * errors make the template unusable, warnings of `UNSAFE_PATTERN` need `allowUnsafe` to run
+ */
+const lintTemplate = function (template, syntax = 'auto') {
+  /** @type {TemplateIssue[]} */
+  const errors = [], warnings = [];
+  if (!template.trim()) {
+    errors.push({ code: 'EMPTY_TEMPLATE', message: 'Template is empty', position: 0 });
+    return { errors, warnings };
+  }
+  try {
+    if (useRegExpForContent(template)) {
+      backtrackingParts(template.slice(1, template.lastIndexOf('/'))).forEach(position => {
+        warnings.push({ code: 'UNSAFE_PATTERN', message: 'Nested quantifiers, quantified alternations or adjacent wildcards may backtrack catastrophically', position: position + 1 });
+      });
+      return { errors, warnings };
+    }
+  } catch (e) {
+    errors.push({ code: e.code, message: e.message, position: e.position });
+    return { errors, warnings };
+  }
+  const extended = isExtendedTemplate(template, syntax);
+  // `empty` is the offset of `!` not followed by anything yet
+  let start = 0, wildcards = 0, body = 0, excluding = false, empty = null;
+  const endAlternative = (/** @type {number} */position) => {
+    if (empty != null) {
+      errors.push({ code: 'EMPTY_EXCLUSION', message: 'Nothing follows `!`', position: empty });
+    }
+    if (!body) {
+      errors.push({ code: 'EMPTY_ALTERNATIVE', message: 'Alternative matches every line', position });
+    }
+    if (wildcards > MAX_TEMPLATE_WILDCARDS) {
+      warnings.push({ code: 'UNSAFE_PATTERN', message: `${wildcards} wildcards in one alternative may backtrack catastrophically`, position: start });
+    }
+    wildcards = 0;
+    body = 0;
+    excluding = false;
+    empty = null;
+  };
+  for (let i = 0; i < template.length; i++) {
+    const c = template[i];
+    if (!extended && (c === '|' || c === '!')) {
+      if (!warnings.some(warning => warning.code === 'BASIC_SYNTAX')) {
+        warnings.push({ code: 'BASIC_SYNTAX', message: `\`${c}\` is matched as text, use the extended syntax for alternatives and exclusions`, position: i });
+      }
+    } else if (c === '|') {
+      endAlternative(i);
+      start = i + 1;
+      continue;
+    } else if (c === '!') {
+      if (empty != null) errors.push({ code: 'EMPTY_EXCLUSION', message: 'Nothing follows `!`', position: empty });
+      excluding = true;
+      empty = i;
+      continue;
+    }
+    empty = null;
+    // Exclusions alone do not make the alternative match anything
+    if (!excluding && c !== ' ') body++;
+    if (c === '\\' && extended) {
+      if (i + 1 === template.length) errors.push({ code: 'TRAILING_ESCAPE', message: 'Nothing to escape after `\\`', position: i });
+      i++;
+    } else if (c === '*') {
+      wildcards++;
+    } else if (c === '{' && extended) {
+      const slot = template.slice(i).match(/^\{(\w+)\}/);
+      if (slot && !templateSlots.has(slot[1])) {
+        errors.push({ code: 'UNKNOWN_SLOT', message: `Unknown number slot {${slot[1]}}, expected one of: ${[...templateSlots].join(', ')}`, position: i });
+      }
+    }
+  }
+  endAlternative(template.length);
+  return { errors, warnings };
+};
+
+/**
+ * @typedef {object} CompiledTemplate
+ * @property {RegExp} regex Matches heading lines
+ * @property {(line: string) => { number: number | null; numeral: string | null; name: string } | null} match
+ * Number read by the first number slot, and text after the matched part as name of the heading; null if not a heading
+ */
+
 /**
+ * Compile a template into a regular expression, and a function to read number and name from headings.
+ * `*` matches any characters, `?` matches a single character, and a space matches any whitespaces.
+ * `{han}`, `{roman}`, `{numeric}`, `{enclosed}`, `{hangul}`, `{english}`, `{french}` match a number,
+ * and `{number}` matches any of them.
+ * `|` separates alternatives, e.g. `第{han}章|Chapter {roman}`.
+ * `!` starts an exclusion, the heading should not be followed by text matching it, e.g. `第{han}章!*。`.
+ * `\` escapes the following character.
+ * Template wrapped by `/` is used as a regular expression directly.
+ * Slots, `|`, `!` and `\` are only available in the extended syntax, see `TemplateSyntax`.
+ * @param {string} template
+ * @param {object} [options]
+ * @param {TemplateSyntax} [options.syntax='auto']
+ * @returns {CompiledTemplate}
+ * @throws {TemplateError} If the template is invalid, see `validateTemplate`
+ */
+const compileContentTemplate = function (template, { syntax = 'auto' } = {}) {
+  const nameOf = (/** @type {string} */line, /** @type {RegExpExecArray} */match) =>
+    line.slice(match.index + match[0].length).trim().replace(/^[:：·.、\-—\s]+/u, '');
+  const [error] = lintTemplate(template, syntax).errors;
+  if (error) throw new TemplateError(error.message, error.code, error.position);
+  const rawRegex = useRegExpForContent(template);
+  if (rawRegex) {
+    return {
+      regex: rawRegex,
+      match(line) {
+        const match = rawRegex.exec(line);
+        return match && { number: null, numeral: null, name: nameOf(line, match) };
+      },
+    };
+  }
+  const extended = isExtendedTemplate(template, syntax);
+  /** @type {(typeof numberParserList)[]} */
+  const slots = [];
+  /** @type {{ body: string; exclusions: string[] }[]} */
+  const alternatives = [{ body: '', exclusions: [] }];
+  const chars = [...template];
+  for (let i = 0; i < chars.length; i++) {
+    const alternative = alternatives[alternatives.length - 1], excluding = alternative.exclusions.length > 0;
+    const append = (/** @type {string} */source) => {
+      if (excluding) alternative.exclusions[alternative.exclusions.length - 1] += source;
+      else alternative.body += source;
+    };
+    const c = chars[i], slot = c === '{' && extended ? chars.slice(i, i + 16).join('').match(/^\{(\w+)\}/) : null;
+    if (c === '\\' && extended && i + 1 < chars.length) {
+      append(exactRegex(chars[++i]));
+    } else if (c === ' ') append('\\s+');
+    else if (c === '*') append('.*');
+    else if (c === '?') append('.');
+    else if (c === '|' && extended) alternatives.push({ body: '', exclusions: [] });
+    else if (c === '!' && extended) alternative.exclusions.push('');
+    else if (slot && templateSlots.has(slot[1])) {
+      const parsers = numberParserList.filter(parser => slot[1] === 'number' || parser.group === slot[1]);
+      const source = parsers.map(parser => parser.regex(parser.charset.key, parser.charset.optional)).join('|');
+      if (excluding) {
+        append(`(?:${source})`);
+      } else {
+        append(`(?<n${slots.length}>${source})`);
+        slots.push(parsers);
+      }
+      i += slot[0].length - 1;
+    } else {
+      append(c.replace(/[-[\]{}()*+?.,\\^$|#\s]/g,
+        c => `\\u${c.charCodeAt().toString(16).padStart(4, 0)}`));
+    }
+  }
+  const source = alternatives.map(({ body, exclusions }) => `(?:${body})${exclusions.map(exclusion => `(?!${exclusion})`).join('')}`);
+  const regex = new RegExp(`^\\s*(?:${source.join('|')})`, 'u');
+  return {
+    regex,
+    match(line) {
+      const match = regex.exec(line);
+      if (!match) return null;
+      let number = null, numeral = null;
+      const index = slots.findIndex((_, index) => match.groups[`n${index}`] != null);
+      if (index !== -1) {
+        const text = match.groups[`n${index}`];
+        // The whole text in the slot should be a valid number, like `十二` but not `十十`
+        const parser = slots[index].find(parser => parser.extract(text)?.infix === text);
+        if (!parser) return null;
+        number = parser.extract(text).number;
+        numeral = parser.group;
+      }
+      return { number, numeral, name: nameOf(line, match) };
+    },
+  };
+};
+
+/**
+ * Convert template into a regular expression which matches heading lines, see `compileContentTemplate` for its syntax
  * @param {string} template
  * @returns {RegExp}
  */
 const parseContentTemplate = function (template) {
-  const matchReg = useRegExpForContent(template);
-  if (matchReg) return matchReg;
-  const escape = template.replace(/./g, c => {
-    if (c === ' ') return '\\s+';
-    if (c === '*') return '.*';
-    if (c === '?') return '.';
-    return c.replace(/[-[\]{}()*+?.,\\^$|#\s]/g,
-      c => `\\u${c.charCodeAt().toString(16).padStart(4, 0)}`);
-  });
-  return new RegExp(`^\\s*(?:${escape})`, 'u');
-}
+  return compileContentTemplate(template).regex;
+};
 
 /**
- * @param {string} article
- * @param {string} template
- * @param {{ maxLength: number, limit: number }} details
+ * Find headings in the article which match given template
+ * @param {string} article Text of the book, lines should be separated by `\n`
+ * @param {string} template Template returned by `recognizeContents`, or written by user
+ * @param {object} [details]
+ * @param {number} [details.maxLength] Lines longer than this are never headings
+ * @param {number} [details.limit] Give up if more headings found
+ * @param {number} [details.timeout] Time budget in milliseconds, checked after each line tested by the template.
+ * A single line cannot be interrupted, it only stops templates being slow on a long article.
+ * @param {boolean} [details.allowUnsafe=false] Run templates likely to backtrack catastrophically
+ * @param {TemplateSyntax} [details.syntax='auto'] Syntax of the template
+ * @returns {(ContentsItem & TitleParts)[] | null} null if limit exceeded;
+ * `number` is read by the first number slot of the template if any
+ * @throws {TemplateError} If the template is invalid or unsafe, or runs out of time
  */
-const generateContent = function (article, template, { maxLength, limit }) {
-  const matchReg = parseContentTemplate(template);
-  /** @type {{ title: string, cursor: number }[]} */
+const generateContent = function (article, template, {
+  maxLength = DEFAULT_CONFIG.MAX_TITLE_LENGTH,
+  limit = DEFAULT_CONFIG.MAX_CONTENTS_LENGTH,
+  timeout = GENERATE_TIMEOUT,
+  allowUnsafe = false,
+  syntax = 'auto',
+} = {}) {
+  const compiled = compileContentTemplate(template, { syntax });
+  const unsafe = lintTemplate(template, syntax).warnings.find(warning => warning.code === 'UNSAFE_PATTERN');
+  if (unsafe && !allowUnsafe) throw new TemplateError(unsafe.message, unsafe.code, unsafe.position);
+  const deadline = Date.now() + timeout;
+  /** @type {(ContentsItem & TitleParts)[]} */
   const content = [];
   let cursor = 0;
+  const checkDeadline = () => {
+    if (Date.now() > deadline) throw new TemplateError(`Template takes more than ${timeout}ms`, 'TIMEOUT');
+  };
   const limitExceed = article.split('\n').some(line => {
     if (line.length <= maxLength) {
-      if (matchReg.test(line)) {
+      const matched = compiled.match(line);
+      checkDeadline();
+      if (matched) {
         if (content.length > limit) {
           return true;
         }
+        const parts = parseTitle(line.trim());
         content.push({
           title: line.trim(),
           cursor,
+          ...parts,
+          // Number read by the template wins, e.g. 5 in `Vol 2 Chapter 5` with `Vol 2 Chapter {number}`
+          ...matched.number != null && matched.number !== parts.number ? { number: matched.number, numeral: matched.numeral } : {},
         });
       }
     }
     cursor += line.length + 1;
     return false;
   });
+  checkDeadline();
   if (limitExceed) return null;
   return content;
 };
 
 
-const filename = process.argv[2];
-const article = require('fs').readFileSync(filename, 'utf8').replace(/\r\n|\r/g, '\n');
-const start = performance.now();
-console.profile();
-console.log(recognizeContents(article))
-console.profileEnd();
-const end = performance.now();
-console.log(end - start);
+/**
+ * @typedef {object} TemplateValidation
+ * @property {boolean} valid If the template can be used by `generateContent`, maybe with `allowUnsafe`
+ * @property {TemplateIssue[]} errors
+ * @property {TemplateIssue[]} warnings
+ * @property {number | null} count Number of lines matched in the article; null if not checked or more than `limit`
+ */
+
+/**
+ * Check a template before using it, and how many lines it matches if the article is given
+ * @param {string} template
+ * @param {object} [options]
+ * @param {string} [options.article] Text of the book, lines should be separated by `\n`
+ * @param {number} [options.maxLength] Same as `generateContent`
+ * @param {number} [options.limit] Same as `generateContent`, warn if more lines matched
+ * @param {number} [options.timeout] Same as `generateContent`
+ * @param {TemplateSyntax} [options.syntax] Same as `generateContent`
+ * @returns {TemplateValidation}
+ */
+const validateTemplate = function (template, { article, maxLength, limit = DEFAULT_CONFIG.MAX_CONTENTS_LENGTH, timeout, syntax = 'auto' } = {}) {
+  const { errors, warnings } = lintTemplate(template, syntax);
+  let count = null;
+  if (!errors.length && article != null) {
+    try {
+      const content = generateContent(article, template, { maxLength, limit, timeout, allowUnsafe: true, syntax });
+      if (!content) {
+        warnings.push({ code: 'TOO_MANY_MATCHES', message: `Template matches more than ${limit} lines`, position: null });
+      } else {
+        count = content.length;
+        if (!count) warnings.push({ code: 'NO_MATCH', message: 'Template matches no line', position: null });
+      }
+    } catch (e) {
+      if (!(e instanceof TemplateError)) throw e;
+      warnings.push({ code: e.code, message: e.message, position: e.position });
+    }
+  }
+  return { valid: !errors.length, errors, warnings, count };
+};
 
+module.exports = {
+  recognizeContents,
+  createRecognizer,
+  generateContent,
+  compileContentTemplate,
+  parseTitle,
+  validateTemplate,
+  RecognitionError,
+  AbortError,
+  TemplateError,
+  parseContentTemplate,
+  contentsBeautyBySize,
+  contentsBeautyByTitle,
+  contentsBeautyByNumber,
+  DEFAULT_CONFIG,
+  PRESETS,
+  SPECIAL_KEYWORDS,
+};
@@ -0,0 +1,198 @@
+/*!
+ * @license MPL-2.0-no-copyleft-exception
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * This Source Code Form is "Incompatible With Secondary Licenses", as
+ * defined by the Mozilla Public License, v. 2.0.
+ */
+
+const { createRecognizer } = require('./scores.js');
+const { decodeText } = require('./encoding.js');
+
+// characters scanned before yielding to messages like cancel
+const CHUNK_SIZE = 256 * 1024;
+
+/**
+ * @typedef {object} RecognizeRequest
+ * @property {'recognize'} type
+ * @property {number} id Chosen by the client, used by every message about this request
+ * @property {string} [text] Text of the book
+ * @property {ArrayBuffer | Uint8Array} [buffer] Content of the file, decoded with `encoding` or detected encoding
+ * @property {string} [encoding]
+ * @property {Omit<import('./scores.js').RecognizeOptions, 'onProgress' | 'signal' | 'explain'> & { explain?: boolean }} [options]
+ */
+
+/**
+ * @typedef {object} CancelRequest
+ * @property {'cancel'} type
+ * @property {number} id
+ */
+
+/**
+ * @typedef {{ type: 'progress'; id: number; phase: 'decode' | 'scan' | 'score'; processed: number; total?: number } |
+ * { type: 'result'; id: number; result: import('./scores.js').RecognizeResult | null; encoding?: string; explain?: import('./scores.js').ExplainItem[] } |
+ * { type: 'error'; id: number; error: { name: string; message: string; code?: string } }} WorkerMessage
+ */
+
+/**
+ * Port of the worker: `self` of a Web Worker, or `parentPort` of `worker_threads`; null on main thread
+ * @returns {{ postMessage: (message: WorkerMessage) => void; onMessage: (listener: (data: RecognizeRequest | CancelRequest) => void) => void } | null}
+ */
+const workerPort = function () {
+  if (typeof WorkerGlobalScope !== 'undefined' && globalThis instanceof WorkerGlobalScope) {
+    return {
+      postMessage: message => globalThis.postMessage(message),
+      onMessage: listener => globalThis.addEventListener('message', event => listener(event.data)),
+    };
+  }
+  if (typeof process !== 'undefined' && process.versions?.node) {
+    const { parentPort } = require('worker_threads');
+    if (parentPort) {
+      return {
+        postMessage: message => parentPort.postMessage(message),
+        onMessage: listener => parentPort.on('message', listener),
+      };
+    }
+  }
+  return null;
+};
+
+// Let pending messages, e.g. cancel, be handled
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Recognize contents in the worker, text is scanned chunk by chunk so it may be cancelled
+ * @param {RecognizeRequest} request
+ * @param {AbortSignal} signal
+ * @param {(message: WorkerMessage) => void} postMessage
+ */
+const handleRecognize = async function ({ id, text, buffer, encoding, options = {} }, signal, postMessage) {
+  /** @type {string | undefined} */
+  let detected;
+  if (text == null) {
+    postMessage({ type: 'progress', id, phase: 'decode', processed: 0 });
+    const decoded = decodeText(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer), { encoding });
+    text = decoded.text;
+    detected = decoded.encoding;
+  }
+  const article = text.replace(/\r\n|\r/g, '\n');
+  const explain = options.explain ? [] : undefined;
+  const recognizer = createRecognizer({
+    ...options,
+    size: article.length,
+    explain,
+    signal,
+    onProgress: ({ phase, processed, total }) => postMessage({ type: 'progress', id, phase, processed, total }),
+  });
+  for (let start = 0; start < article.length; start += CHUNK_SIZE) {
+    recognizer.push(article.slice(start, start + CHUNK_SIZE));
+    await yieldToMessages();
+  }
+  const result = recognizer.end();
+  postMessage({ type: 'result', id, result, encoding: detected, explain });
+};
+
+/**
+ * Handle messages posted to the worker
+ * @param {NonNullable<ReturnType<typeof workerPort>>} port
+ */
+const serve = function (port) {
+  /** @type {Map<number, AbortController>} */
+  const running = new Map();
+  port.onMessage(data => {
+    if (data.type === 'cancel') {
+      running.get(data.id)?.abort();
+    } else if (data.type === 'recognize') {
+      const controller = new AbortController();
+      running.set(data.id, controller);
+      handleRecognize(data, controller.signal, port.postMessage).catch(error => {
+        port.postMessage({ type: 'error', id: data.id, error: { name: error.name, message: error.message, code: error.code } });
+      }).finally(() => {
+        running.delete(data.id);
+      });
+    }
+  });
+};
+
+/**
+ * @typedef {object} WorkerClient
+ * @property {(input: string | ArrayBuffer | Uint8Array, options?: RecognizeRequest['options'] & {
+ *   encoding?: string;
+ *   signal?: AbortSignal;
+ *   onProgress?: (progress: { phase: 'decode' | 'scan' | 'score'; processed: number; total?: number }) => void;
+ * }) => Promise<{ result: import('./scores.js').RecognizeResult | null; encoding?: string; explain?: import('./scores.js').ExplainItem[] }>} recognize
+ * Rejects with an error named `AbortError` once `signal` is aborted, or with the error of the worker once it fails or exits
+ */
+
+/**
+ * Talk to a worker running this file, either a Web Worker or a `worker_threads` Worker
+ * @param {Worker | import('worker_threads').Worker} worker
+ * @returns {WorkerClient}
+ */
+const createWorkerClient = function (worker) {
+  /** @type {Map<number, { resolve: (value: any) => void; reject: (error: Error) => void; onProgress?: Function }>} */
+  const pending = new Map();
+  let lastId = 0;
+  const listener = (/** @type {WorkerMessage} */data) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    if (data.type === 'progress') {
+      request.onProgress?.({ phase: data.phase, processed: data.processed, total: data.total });
+    } else if (data.type === 'result') {
+      pending.delete(data.id);
+      request.resolve({ result: data.result, encoding: data.encoding, explain: data.explain });
+    } else if (data.type === 'error') {
+      pending.delete(data.id);
+      const error = new Error(data.error.message);
+      error.name = data.error.name;
+      error.code = data.error.code;
+      request.reject(error);
+    }
+  };
+  /** @type {Error | null} */
+  let exited = null;
+  // No reply would come for requests sent to a broken or stopped worker
+  const rejectAll = (/** @type {Error} */error) => {
+    const requests = [...pending.values()];
+    pending.clear();
+    requests.forEach(request => request.reject(error));
+  };
+  if (typeof worker.on === 'function') {
+    worker.on('message', listener);
+    worker.on('error', error => rejectAll(error));
+    worker.on('messageerror', error => rejectAll(error));
+    worker.on('exit', code => rejectAll(exited = new Error(`Worker exited with code ${code}`)));
+  } else {
+    worker.addEventListener('message', event => listener(event.data));
+    worker.addEventListener('error', event => rejectAll(new Error(event.message || 'Worker failed')));
+    worker.addEventListener('messageerror', () => rejectAll(new Error('Message from worker cannot be deserialized')));
+  }
+
+  return {
+    recognize(input, { encoding, signal, onProgress, ...options } = {}) {
+      const id = ++lastId;
+      return new Promise((resolve, reject) => {
+        if (exited) return reject(exited);
+        const cancel = () => worker.postMessage({ type: 'cancel', id });
+        const settle = (/** @type {Function} */callback) => (/** @type {any} */value) => {
+          signal?.removeEventListener('abort', cancel);
+          callback(value);
+        };
+        pending.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress });
+        worker.postMessage(typeof input === 'string' ?
+          { type: 'recognize', id, text: input, options } :
+          { type: 'recognize', id, buffer: input, encoding, options });
+        if (signal?.aborted) cancel();
+        else signal?.addEventListener('abort', cancel, { once: true });
+      });
+    },
+  };
+};
+
+const port = workerPort();
+if (port) serve(port);
+
+module.exports = {
+  createWorkerClient,
+};
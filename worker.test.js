@@ -0,0 +1,115 @@
+/*!
+ * @license MPL-2.0-no-copyleft-exception
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ * This Source Code Form is "Incompatible With Secondary Licenses", as
+ * defined by the Mozilla Public License, v. 2.0.
+ */
+
+// Run by `node --test`
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { getEventListeners } = require('events');
+const { execFileSync } = require('child_process');
+const { Worker } = require('worker_threads');
+const { createWorkerClient } = require('./worker.js');
+
+const han = '零一二三四五六七八九';
+/**
+ * A book of numbered chapters, long enough to be scanned in several chunks
+ * @param {number} chapters At most 99
+ * @param {number} [paragraphs]
+ * @returns {string}
+ */
+const makeBook = function (chapters, paragraphs = 40) {
+  const paragraph = '　　' + '他说这是一个很长很长的段落，用来填满章节的正文。'.repeat(4);
+  return Array.from({ length: chapters }, (_, index) => {
+    const number = index + 1;
+    const title = `第${number >= 10 ? han[Math.floor(number / 10)] + '十' : ''}${number % 10 ? han[number % 10] : ''}章 标题`;
+    return [title, ...Array(paragraphs).fill(paragraph)].join('\n');
+  }).join('\n');
+};
+
+/**
+ * Run the tests against a worker script
+ * @param {string} name
+ * @param {() => string} script Path of the script, called once tests start
+ */
+const testWorker = function (name, script) {
+  test(name, async t => {
+    const worker = new Worker(script());
+    const client = createWorkerClient(worker);
+    t.after(() => worker.terminate());
+
+    await t.test('posts result and progress', async () => {
+      /** @type {string[]} */
+      const phases = [];
+      const { result } = await client.recognize(makeBook(60, 200), { onProgress: ({ phase }) => phases.push(phase) });
+      assert.strictEqual(result.template, '第{han}章 标题');
+      assert.strictEqual(result.content.length, 60);
+      assert.ok(phases.includes('scan'));
+      assert.strictEqual(phases[phases.length - 1], 'score');
+    });
+
+    await t.test('decodes buffers', async () => {
+      const { result, encoding } = await client.recognize(new TextEncoder().encode(makeBook(30)));
+      assert.strictEqual(encoding, 'utf-8');
+      assert.strictEqual(result.content.length, 30);
+    });
+
+    await t.test('rejects with AbortError once aborted', async () => {
+      const controller = new AbortController();
+      const recognizing = client.recognize(makeBook(90, 400), {
+        signal: controller.signal,
+        onProgress: ({ phase }) => phase === 'scan' && controller.abort(),
+      });
+      await assert.rejects(recognizing, { name: 'AbortError' });
+      // The worker still serves later requests
+      const { result } = await client.recognize(makeBook(30));
+      assert.strictEqual(result.content.length, 30);
+    });
+
+    await t.test('stops listening to the signal once settled', async () => {
+      const controller = new AbortController();
+      await client.recognize(makeBook(30), { signal: controller.signal });
+      assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+    });
+  });
+};
+
+testWorker('worker.js in worker_threads', () => path.join(__dirname, 'worker.js'));
+
+test('rejects pending requests once the worker fails', async () => {
+  const worker = new Worker('require(\'worker_threads\').parentPort.on(\'message\', () => { throw new Error(\'broken\'); });', { eval: true });
+  const client = createWorkerClient(worker);
+  await assert.rejects(client.recognize(makeBook(30)), { message: 'broken' });
+  await new Promise(resolve => worker.once('exit', resolve));
+  await assert.rejects(client.recognize(makeBook(30)), { message: /exited/ });
+});
+
+/** @type {string | undefined} */
+let bundled;
+const build = function () {
+  if (!bundled) {
+    bundled = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'contents-')), 'worker.js');
+    execFileSync(process.execPath, [path.join(__dirname, 'build.js'), bundled], { stdio: 'ignore' });
+  }
+  return bundled;
+};
+
+testWorker('bundle in worker_threads', build);
+
+test('bundle runs without require and module, as in browsers', () => {
+  const context = vm.createContext({ TextDecoder, setTimeout });
+  vm.runInContext(fs.readFileSync(build(), 'utf8'), context);
+  assert.strictEqual(typeof context.ContentsWorker.createWorkerClient, 'function');
+});
+
+test.after(() => {
+  if (bundled) fs.rmSync(path.dirname(bundled), { recursive: true, force: true });
+});